@@ -9,6 +9,8 @@ import {
     Legend,
     ResponsiveContainer,
 } from "recharts";
+import { DEFAULT_PARAMS, applyDay, growthFactorFor } from "./src/energyModel";
+import { COMMON_DURATIONS } from "./src/practicePlan";
 
 const QigongCalculator = () => {
     const [practiceMinutes, setPracticeMinutes] = useState(40);
@@ -19,20 +21,11 @@ const QigongCalculator = () => {
 
     // Constants
     const targetEnergy = 100;
-    const dailyEnergyLoss = 0.1; // 10% loss on skipped days
+    const energyParams = DEFAULT_PARAMS; // Model selection + tuning, see energyModel.js
 
-    // Common practice durations
-    const commonDurations = [10, 15, 20, 30, 40, 60, 90, 120];
-
-    // Calculate dynamic growth factor based on practice minutes
-    const calculateGrowthFactor = (minutes) => {
-        // Based on testing with true compounding, this formula ensures:
-        // 90 days @ 40min → approximately 100 energy points
-        // 30 days @ 120min → approximately 100 energy points
-        const baseValue = 0.995776;
-        const minuteMultiplier = 0.001418;
-        return baseValue + minutes * minuteMultiplier;
-    };
+    // Growth factor for the selected minutes at the current energy level
+    const calculateGrowthFactor = (minutes) =>
+        growthFactorFor(minutes, currentEnergy, energyParams);
 
     // Reset the simulation
     const resetSimulation = () => {
@@ -46,25 +39,14 @@ const QigongCalculator = () => {
     const logPracticeDay = () => {
         if (didPracticeToday) return;
 
-        // Pure compounding - just multiply by growth factor
-        const growthFactor = calculateGrowthFactor(practiceMinutes);
-        const newEnergy = currentEnergy * growthFactor;
-        const energyGain = newEnergy - currentEnergy;
+        const entry = applyDay(
+            currentEnergy,
+            { day: currentDay, practice: true, minutes: practiceMinutes },
+            energyParams
+        );
 
-        const newLog = [
-            ...dailyLog,
-            {
-                day: currentDay,
-                energy: parseFloat(newEnergy.toFixed(2)),
-                practice: true,
-                minutes: practiceMinutes,
-                gain: parseFloat(energyGain.toFixed(2)),
-                growthFactor: parseFloat(growthFactor.toFixed(6)),
-            },
-        ];
-
-        setDailyLog(newLog);
-        setCurrentEnergy(newEnergy);
+        setDailyLog([...dailyLog, entry]);
+        setCurrentEnergy(entry.energy);
         setCurrentDay(currentDay + 1);
         setDidPracticeToday(true);
     };
@@ -73,22 +55,14 @@ const QigongCalculator = () => {
     const logSkippedDay = () => {
         if (didPracticeToday) return;
 
-        const energyLoss = currentEnergy * dailyEnergyLoss;
-        const newEnergy = currentEnergy - energyLoss;
-
-        const newLog = [
-            ...dailyLog,
-            {
-                day: currentDay,
-                energy: parseFloat(newEnergy.toFixed(2)),
-                practice: false,
-                minutes: 0,
-                loss: parseFloat(energyLoss.toFixed(2)),
-            },
-        ];
+        const entry = applyDay(
+            currentEnergy,
+            { day: currentDay, practice: false, minutes: 0 },
+            energyParams
+        );
 
-        setDailyLog(newLog);
-        setCurrentEnergy(newEnergy);
+        setDailyLog([...dailyLog, entry]);
+        setCurrentEnergy(entry.energy);
         setCurrentDay(currentDay + 1);
         setDidPracticeToday(true);
     };
@@ -178,7 +152,7 @@ const QigongCalculator = () => {
                             Quick Select:
                         </label>
                         <div className="flex flex-wrap gap-2">
-                            {commonDurations.map((duration) => (
+                            {COMMON_DURATIONS.map((duration) => (
                                 <button
                                     key={duration}
                                     onClick={() => setPracticeMinutes(duration)}
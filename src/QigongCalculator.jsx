@@ -1,17 +1,90 @@
 import React, { useState, useEffect, useRef } from "react";
+import { getStorage } from "./storage"; // Supabase or local storage adapter
+import SyncStatus from "./components/SyncStatus";
+import MissedDaysPrompt from "./components/MissedDaysPrompt";
+import SessionList from "./components/SessionList";
+import StaleTimerPrompt from "./components/StaleTimerPrompt";
 import {
-    LineChart,
-    Line,
-    XAxis,
-    YAxis,
-    CartesianGrid,
-    Tooltip,
-    Legend,
-    ResponsiveContainer,
-} from "recharts";
-import { supabase } from "./supabaseClient"; // Import Supabase client
-
-const QigongCalculator = () => {
+    elapsedSeconds,
+    isImplausible,
+    loadActiveTimer,
+    saveActiveTimer,
+    sleepGapSeconds,
+    touchActiveTimer,
+} from "./activeTimer";
+import {
+    createSession,
+    minutesFromSessions,
+    sessionsForDay,
+    totalSeconds,
+} from "./sessions";
+import FormCatalogEditor from "./components/FormCatalogEditor";
+import ProjectionPanel from "./components/ProjectionPanel";
+import GoalPlannerPanel from "./components/GoalPlannerPanel";
+import { COMMON_DURATIONS, projectEnergy } from "./practicePlan";
+import {
+    DEFAULT_DECAY,
+    DEFAULT_SETTINGS,
+    GAP_POLICIES,
+    LEGACY_START_DATE,
+    energyParamsFor,
+} from "./settings";
+import {
+    describeForms,
+    formMinutesFromSessions,
+    scaleFormMinutes,
+} from "./forms";
+import MilestoneEditor from "./components/MilestoneEditor";
+import HistoryTransfer from "./components/HistoryTransfer";
+import { mergeHistory, orphanedSessions } from "./history";
+import StatsPanel from "./components/StatsPanel";
+import EnergyChart from "./components/EnergyChart";
+import PracticeHeatmap from "./components/PracticeHeatmap";
+import UndoRedoBar from "./components/UndoRedoBar";
+import DayHistory from "./components/DayHistory";
+import InsertDayForm from "./components/InsertDayForm";
+import DecayPolicyEditor from "./components/DecayPolicyEditor";
+import ScheduleEditor from "./components/ScheduleEditor";
+import AdherencePanel from "./components/AdherencePanel";
+import { isRestDay, plannedMinutes } from "./schedule";
+import RoutineEditor from "./components/RoutineEditor";
+import GuidedRoutineDisplay from "./components/GuidedRoutineDisplay";
+import SessionTargetDisplay from "./components/SessionTargetDisplay";
+import { formatTimer } from "./components/timerFormat";
+import { routinePosition, routineSeconds } from "./routines";
+import { ringBell, unlockBells } from "./bells";
+import { requestWakeLock, wakeLockSupported } from "./wakeLock";
+import SleptSessionPrompt from "./components/SleptSessionPrompt";
+import { MAX_UNDO_STEPS, restoreSnapshot, takeSnapshot } from "./undoHistory";
+import {
+    activeGoals,
+    crossingsByMilestone,
+    highestReached,
+    primaryTarget,
+    recordMilestones,
+    sortMilestones,
+} from "./milestones";
+import {
+    dateForDay,
+    dayForDate,
+    findMissedDays,
+    formatDate,
+    todayISO,
+} from "./dates";
+import {
+    applyDay,
+    energyBefore,
+    MODELS,
+    replay,
+    stateBefore,
+} from "./energyModel";
+
+// Share of the day's starting energy a skipped day lost, in whole percent
+const lossPercent = (log) =>
+    (((log.loss ?? 0) / (log.energy + (log.loss ?? 0))) * 100).toFixed(0);
+
+const QigongCalculator = ({ user }) => {
+    const storage = getStorage(user); // Scoped to the signed-in user
     const [dailyLog, setDailyLog] = useState([]);
     const [currentDay, setCurrentDay] = useState(1);
     const [currentEnergy, setCurrentEnergy] = useState(1); // Start with 1 energy point
@@ -22,129 +95,627 @@ const QigongCalculator = () => {
     const intervalRef = useRef(null); // To hold the interval ID
     const [isLoading, setIsLoading] = useState(true); // Add loading state
     const [hoveredRowDay, setHoveredRowDay] = useState(null); // State for hover effect
+    const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+    const [missedDayEntries, setMissedDayEntries] = useState(null); // Skips awaiting confirmation
+    const [sessions, setSessions] = useState([]); // Every timed session, all days
+    const [expandedDay, setExpandedDay] = useState(null); // Day whose sessions are listed
+    const [historyDay, setHistoryDay] = useState(null); // Day whose change history is shown
+    const [staleTimer, setStaleTimer] = useState(null); // Restored timer left running too long
+    const [selectedForm, setSelectedForm] = useState(null); // Form for the next session
+    const [plan, setPlan] = useState({
+        minutesPerDay: 40,
+        skipRate: 0,
+        showOnChart: true,
+    }); // Planned schedule for the forecast
 
     // Constants
-    const targetEnergy = 100;
-    const dailyEnergyLoss = 0.1; // 10% loss on skipped days
+    const targetEnergy = primaryTarget(settings.milestones, currentEnergy);
+    const energyParams = energyParamsFor(settings); // Model selection + tuning, see energyModel.js
+    const activeForm = selectedForm ?? settings.forms[0]?.id ?? null;
+    const [guidedRoutineId, setGuidedRoutineId] = useState(null); // null: open-ended stopwatch
+    const guidedRoutine =
+        settings.routines.find((routine) => routine.id === guidedRoutineId) ??
+        null;
+    const segmentIndexRef = useRef(null); // Guided segment the last bell was for
+    // Planned length of the running session: the routine, or the chosen target
+    const targetMinutes = settings.sessionTarget.minutes;
+    const sessionTargetSeconds = guidedRoutine
+        ? routineSeconds(guidedRoutine)
+        : targetMinutes
+        ? targetMinutes * 60
+        : null;
+    const [targetReached, setTargetReached] = useState(false); // Shown until the next start
+    const targetReachedRef = useRef(false);
+    const lastTickRef = useRef(null); // When the running timer last ticked
+    const sleptSecondsRef = useRef(0); // Sleep detected in the running session
+    const [sleptSession, setSleptSession] = useState(null); // Awaiting confirm/trim
 
     // New state for editing
     const [editingDay, setEditingDay] = useState(null); // Track which day's minutes are being edited
+    const [undoStack, setUndoStack] = useState([]); // Snapshots before each history edit
+    const [redoStack, setRedoStack] = useState([]);
+    const undoRedoRef = useRef(null); // Latest handlers for the keyboard shortcut
 
-    // Fetch initial data from Supabase
-    useEffect(() => {
-        const fetchLog = async () => {
-            setIsLoading(true);
-            try {
-                const { data, error } = await supabase
-                    .from("calculations")
-                    .select("*")
-                    .order("day", { ascending: true });
-
-                if (error) {
-                    console.error("Error fetching calculation log:", error);
-                    throw error;
-                }
+    // Fetch data from storage (on mount, and again after a sync conflict is resolved)
+    const fetchLog = async () => {
+        setIsLoading(true);
+        try {
+            const [fetchedLog, storedSettings, fetchedSessions] =
+                await Promise.all([
+                    storage.loadLog(),
+                    storage.loadSettings(),
+                    storage.loadSessions(),
+                ]);
+            setSessions(fetchedSessions);
+
+            const loadedSettings = { ...DEFAULT_SETTINGS, ...storedSettings };
+            if (!loadedSettings.startDate) {
+                // Existing logs keep their original day 1; new trackers start today
+                loadedSettings.startDate =
+                    fetchedLog.length > 0 ? LEGACY_START_DATE : todayISO();
+                await storage.saveSettings(loadedSettings);
+            }
+            setSettings(loadedSettings);
 
-                if (data && data.length > 0) {
-                    // Map Supabase data to the structure expected by dailyLog
-                    const fetchedLog = data.map((item) => ({
-                        day: item.day,
-                        energy: item.energy,
-                        practice: item.practice,
-                        minutes: item.minutes,
-                        gain: item.gain, // Make sure 'gain' column exists or adjust
-                        loss: item.loss, // Make sure 'loss' column exists or adjust
-                        growthFactor: item.growthFactor, // Make sure 'growthFactor' exists or adjust
-                        // Add other fields if necessary, ensuring names match
-                    }));
-                    setDailyLog(fetchedLog);
-                    const lastLog = fetchedLog[fetchedLog.length - 1];
-                    setCurrentEnergy(lastLog.energy);
-                    // Set currentDay to the day *after* the last logged day
-                    setCurrentDay(lastLog.day + 1);
-                } else {
-                    // Initialize if no data found
-                    setDailyLog([]);
-                    setCurrentDay(1);
-                    setCurrentEnergy(1);
-                }
-            } catch (error) {
-                console.error("Failed to initialize from Supabase:", error);
-                // Handle error appropriately, maybe set default state
+            // A timer still running from before the reload takes precedence;
+            // missed days are checked once its session is settled
+            const timer = await loadActiveTimer(storage, user?.id);
+            if (!timer) {
+                checkMissedDays(fetchedLog, loadedSettings);
+            }
+
+            // The current day is always today's, whatever was logged last
+            setCurrentDay(dayForDate(loadedSettings.startDate, todayISO()));
+            if (fetchedLog.length > 0) {
+                setDailyLog(fetchedLog);
+                const lastLog = fetchedLog[fetchedLog.length - 1];
+                setCurrentEnergy(lastLog.energy);
+            } else {
+                // Initialize if no data found
                 setDailyLog([]);
-                setCurrentDay(1);
                 setCurrentEnergy(1);
-            } finally {
-                setIsLoading(false);
             }
-        };
 
+            if (timer) {
+                restoreTimer(timer, fetchedSessions);
+            }
+        } catch (error) {
+            console.error("Failed to load practice history:", error);
+            // Handle error appropriately, maybe set default state
+            setDailyLog([]);
+            setCurrentDay(1);
+            setCurrentEnergy(1);
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    useEffect(() => {
         fetchLog();
     }, []); // Empty dependency array ensures this runs only once on mount
 
-    // Calculate dynamic growth factor based on practice minutes
-    const calculateGrowthFactor = (minutes) => {
-        // Based on testing with true compounding, this formula ensures:
-        // 90 days @ 40min → approximately 100 energy points
-        // 30 days @ 120min → approximately 100 energy points
-        const baseValue = 0.995776;
-        const minuteMultiplier = 0.001418;
-        return baseValue + minutes * minuteMultiplier;
+    // Put a persisted timer back on screen: resume it directly, or ask first
+    // if it has been running implausibly long
+    const restoreTimer = (timer, loadedSessions) => {
+        setCurrentDay(timer.day);
+        setSelectedForm(timer.form ?? null);
+        setGuidedRoutineId(timer.routineId ?? null);
+        setAccumulatedSecondsToday(
+            totalSeconds(sessionsForDay(loadedSessions, timer.day))
+        );
+        if (timer.endTime) {
+            // An ended session still waiting on SleptSessionPrompt
+            setSleptSession(timer);
+            return;
+        }
+        if (isImplausible(timer)) {
+            setStaleTimer(timer);
+            return;
+        }
+        sleptSecondsRef.current = sleptSecondsOf(timer);
+        setElapsedTime(elapsedSeconds(timer));
+        setStartTime(timer.startTime);
+        setIsPracticing(true);
+    };
+
+    // Sleep recorded for a restored timer, plus the time the page spent
+    // discarded since its last tick
+    const sleptSecondsOf = (timer) =>
+        (timer.sleptSeconds ?? 0) +
+        (timer.lastSeenAt ? sleepGapSeconds(timer.lastSeenAt, Date.now()) : 0);
+
+    const handleResumeStaleTimer = () => {
+        sleptSecondsRef.current = sleptSecondsOf(staleTimer);
+        setElapsedTime(elapsedSeconds(staleTimer));
+        setStartTime(staleTimer.startTime);
+        setIsPracticing(true);
+        setStaleTimer(null);
+    };
+
+    const handleDiscardStaleTimer = () => {
+        saveActiveTimer(storage, user?.id, null);
+        setStaleTimer(null);
+        checkMissedDays(dailyLog);
+    };
+
+    // Commit the stale session trimmed to the minutes the user confirmed
+    const handleCommitStaleTimer = async (minutes) => {
+        const timer = staleTimer;
+        setStaleTimer(null);
+        const updatedLog = await commitSession(
+            timer.day,
+            timer.startTime,
+            timer.startTime + minutes * 60 * 1000,
+            timer.form ?? null
+        );
+        checkMissedDays(updatedLog);
+    };
+
+    // Skip entries for days that passed with no log entry, chained off the
+    // last logged energy; scheduled rest days become rest entries. Null if
+    // there are none.
+    const missedDayEntriesFor = (log, currentSettings) => {
+        const { startDate } = currentSettings;
+        const lastLog = log[log.length - 1];
+        const missedDays = findMissedDays(lastLog?.day ?? 0, startDate);
+        if (missedDays.length === 0) return null;
+
+        const skipped = missedDays.map((day) => {
+            const date = dateForDay(startDate, day);
+            return {
+                day,
+                date,
+                practice: false,
+                rest: isRestDay(currentSettings.schedule, date),
+                minutes: 0,
+            };
+        });
+        return replay(
+            [...log, ...skipped],
+            energyParamsFor(currentSettings),
+            log.length
+        ).slice(log.length);
+    };
+
+    // Offer to log the missed days; they are only saved once the user
+    // confirms. Settings are passed in while loading, before the state has
+    // caught up.
+    const checkMissedDays = (log, currentSettings = settings) =>
+        setMissedDayEntries(missedDayEntriesFor(log, currentSettings));
+
+    // Log the missed days as skipped and jump to today. They are rebuilt
+    // from the current log, which may have changed while the prompt was open.
+    const applyMissedDays = async () => {
+        setMissedDayEntries(null);
+        const entries = missedDayEntriesFor(dailyLog, settings);
+        if (!entries) return;
+        const lastEntry = entries[entries.length - 1];
+
+        rememberState("Log missed days");
+        setDailyLog([...dailyLog, ...entries]);
+        setCurrentEnergy(lastEntry.energy);
+        setCurrentDay(lastEntry.day + 1);
+
+        try {
+            await storage.upsertDays(entries, "Missed days logged as skipped");
+        } catch (error) {
+            console.error("Error saving missed days:", error);
+        }
+    };
+
+    // Save an edited form catalog and replay the whole log with its multipliers
+    const handleSaveForms = async (forms) => {
+        const newSettings = { ...settings, forms };
+        setSettings(newSettings);
+        forgetHistory();
+        try {
+            await storage.saveSettings(newSettings);
+        } catch (error) {
+            console.error("Error saving practice forms:", error);
+        }
+        if (dailyLog.length > 0) {
+            await recalculateEnergyFromDay(
+                0,
+                dailyLog,
+                energyParamsFor(newSettings),
+                "Practice forms changed"
+            );
+        }
+    };
+
+    // Switch the growth model and replay the whole log under it
+    const handleModelChange = async (model) => {
+        const newSettings = { ...settings, model };
+        setSettings(newSettings);
+        forgetHistory();
+        try {
+            await storage.saveSettings(newSettings);
+        } catch (error) {
+            console.error("Error saving energy model:", error);
+        }
+        if (dailyLog.length > 0) {
+            await recalculateEnergyFromDay(
+                0,
+                dailyLog,
+                energyParamsFor(newSettings),
+                "Energy model changed"
+            );
+        }
+    };
+
+    // Gaps are only treated differently under the decay policy, but replaying
+    // keeps the log in step with the setting either way
+    const handleGapPolicyChange = async (gapPolicy) => {
+        const newSettings = { ...settings, gapPolicy };
+        setSettings(newSettings);
+        forgetHistory();
+        try {
+            await storage.saveSettings(newSettings);
+        } catch (error) {
+            console.error("Error saving gap policy:", error);
+        }
+        if (dailyLog.length > 0) {
+            await recalculateEnergyFromDay(
+                0,
+                dailyLog,
+                energyParamsFor(newSettings),
+                "Gap policy changed"
+            );
+        }
+    };
+
+    // Save a new skipped-day decay policy and replay the log under it
+    const handleSaveDecay = async (decay) => {
+        const newSettings = { ...settings, decay };
+        setSettings(newSettings);
+        forgetHistory();
+        try {
+            await storage.saveSettings(newSettings);
+        } catch (error) {
+            console.error("Error saving decay policy:", error);
+        }
+        if (dailyLog.length > 0) {
+            await recalculateEnergyFromDay(
+                0,
+                dailyLog,
+                energyParamsFor(newSettings),
+                "Decay policy changed"
+            );
+        }
+    };
+
+    // Save the weekly schedule. Rest decay may have changed, so replay.
+    const handleSaveSchedule = async (schedule) => {
+        const newSettings = { ...settings, schedule };
+        setSettings(newSettings);
+        forgetHistory();
+        try {
+            await storage.saveSettings(newSettings);
+        } catch (error) {
+            console.error("Error saving weekly schedule:", error);
+        }
+        if (dailyLog.length > 0) {
+            await recalculateEnergyFromDay(
+                0,
+                dailyLog,
+                energyParamsFor(newSettings),
+                "Weekly schedule changed"
+            );
+        }
+    };
+
+    // Target length and auto-save choice for the next timed session
+    const handleSessionTargetChange = async (changes) => {
+        const newSettings = {
+            ...settings,
+            sessionTarget: { ...settings.sessionTarget, ...changes },
+        };
+        setSettings(newSettings);
+        try {
+            await storage.saveSettings(newSettings);
+        } catch (error) {
+            console.error("Error saving session target:", error);
+        }
+    };
+
+    const handleKeepScreenAwakeChange = async (keepScreenAwake) => {
+        const newSettings = { ...settings, keepScreenAwake };
+        setSettings(newSettings);
+        try {
+            await storage.saveSettings(newSettings);
+        } catch (error) {
+            console.error("Error saving screen wake setting:", error);
+        }
+    };
+
+    // Guided routines only affect the timer, so nothing is recalculated
+    const handleSaveRoutines = async (routines) => {
+        const newSettings = { ...settings, routines };
+        setSettings(newSettings);
+        try {
+            await storage.saveSettings(newSettings);
+        } catch (error) {
+            console.error("Error saving guided routines:", error);
+        }
+    };
+
+    // Change which calendar date day 1 falls on, re-dating every entry
+    const handleStartDateChange = async (newStartDate) => {
+        if (!newStartDate || newStartDate === settings.startDate) return;
+        if (newStartDate > todayISO()) {
+            alert("Day 1 cannot be in the future.");
+            return;
+        }
+        if (isPracticing) {
+            alert("Pause the timer first: moving Day 1 changes today's day.");
+            return;
+        }
+        if (
+            dailyLog.length > 0 &&
+            !window.confirm(
+                `Move Day 1 to ${formatDate(
+                    newStartDate
+                )}? Every logged day will be re-dated.`
+            )
+        ) {
+            return;
+        }
+
+        rememberState("Move Day 1");
+        const newSettings = { ...settings, startDate: newStartDate };
+        const redatedLog = dailyLog.map((log) => ({
+            ...log,
+            date: dateForDay(newStartDate, log.day),
+        }));
+        const newCurrentDay = dayForDate(newStartDate, todayISO());
+        setSettings(newSettings);
+        setDailyLog(redatedLog);
+        setCurrentDay(newCurrentDay);
+        setAccumulatedSecondsToday(
+            totalSeconds(sessionsForDay(sessions, newCurrentDay))
+        );
+        checkMissedDays(redatedLog, newSettings);
+
+        try {
+            await storage.saveSettings(newSettings);
+            if (redatedLog.length > 0) {
+                await storage.upsertDays(redatedLog, "Start date changed");
+            }
+        } catch (error) {
+            console.error("Error saving new start date:", error);
+        }
     };
 
     // Reset the simulation
     const resetSimulation = async () => {
         if (
             !window.confirm(
-                "Are you sure you want to reset all data? This will clear your entire practice history."
+                "Are you sure you want to reset all data? This will clear your entire practice history. (You can still undo it until you leave the page.)"
             )
         ) {
             return; // Stop if user cancels
         }
+        rememberState("Reset tracker");
 
-        // Clear Supabase table
+        // Clear stored history
         try {
             setIsLoading(true); // Show loading indicator
-            const { error } = await supabase
-                .from("calculations")
-                .delete()
-                .neq("day", -1); // Delete all rows (using a condition that's always true)
-
-            if (error) {
-                console.error("Error clearing Supabase data:", error);
-                alert("Failed to clear practice history. Please try again.");
-                // Don't reset local state if Supabase failed
-                return;
-            }
-            console.log("Supabase calculation data cleared.");
+            await storage.clearAll("Reset tracker");
+            console.log("Calculation data cleared.");
         } catch (error) {
-            console.error("Unexpected error during Supabase delete:", error);
-            alert("An unexpected error occurred while clearing history.");
+            console.error("Error clearing practice history:", error);
+            alert("Failed to clear practice history. Please try again.");
+            // Don't reset local state if storage failed
             return;
         } finally {
             setIsLoading(false);
         }
 
-        // Clear local state only after successful Supabase clear
+        // Clear local state only after successful storage clear. The fresh
+        // tracker starts today.
+        const newSettings = { ...settings, startDate: todayISO() };
+        setSettings(newSettings);
+        storage
+            .saveSettings(newSettings)
+            .catch((error) =>
+                console.error("Error saving new start date:", error)
+            );
         setDailyLog([]);
+        setSessions([]);
+        setMissedDayEntries(null);
         setCurrentDay(1);
         setCurrentEnergy(1);
         setIsPracticing(false);
         setStartTime(null);
         setElapsedTime(0);
         setAccumulatedSecondsToday(0);
+        saveActiveTimer(storage, user?.id, null);
         if (intervalRef.current) {
             clearInterval(intervalRef.current);
             intervalRef.current = null;
         }
     };
 
+    // Apply an imported history (see HistoryTransfer). Sessions are stored as
+    // they were exported; energy is replayed from the earliest changed day.
+    const handleImport = async ({ entries, sessions: imported, mode }) => {
+        if (
+            mode === "replace" &&
+            !window.confirm(
+                "Replace your entire practice history with the imported file?"
+            )
+        ) {
+            return;
+        }
+
+        rememberState("Import history");
+        const { log, startIndex } = mergeHistory(
+            dailyLog,
+            entries,
+            mode,
+            settings.startDate
+        );
+        try {
+            setIsLoading(true);
+            if (mode === "replace") {
+                await storage.clearAll("Import (replace)");
+            } else {
+                const orphans = orphanedSessions(
+                    sessions,
+                    dailyLog,
+                    entries,
+                    imported
+                );
+                for (const session of orphans) {
+                    await storage.deleteSession(session.id);
+                }
+            }
+            if (imported.length > 0) await storage.upsertSessions(imported);
+        } catch (error) {
+            console.error("Error importing practice history:", error);
+            alert("Failed to import practice history. Please try again.");
+            setIsLoading(false);
+            return;
+        }
+
+        await recalculateEnergyFromDay(
+            startIndex,
+            log,
+            energyParams,
+            `Import (${mode})`
+        );
+        await fetchLog(); // Pick up the new current day and sessions
+    };
+
+    // --- Undo / redo ---
+    const currentSnapshot = (label) =>
+        takeSnapshot(label, {
+            log: dailyLog,
+            sessions,
+            currentDay,
+            currentEnergy,
+            startDate: settings.startDate,
+        });
+
+    // Call right before a history edit so it can be undone
+    const rememberState = (label) => {
+        setUndoStack((stack) => [
+            ...stack.slice(-(MAX_UNDO_STEPS - 1)),
+            currentSnapshot(label),
+        ]);
+        setRedoStack([]);
+    };
+
+    // Snapshots don't hold the model settings, so undoing across a settings
+    // change would replay history under the wrong parameters
+    const forgetHistory = () => {
+        setUndoStack([]);
+        setRedoStack([]);
+    };
+
+    // Write a snapshot back to storage, then to local state
+    const restoreState = async (target, reason) => {
+        setIsLoading(true);
+        try {
+            await restoreSnapshot(storage, currentSnapshot(), target, reason);
+        } catch (error) {
+            console.error("Error restoring practice history:", error);
+            alert("Failed to restore practice history. Please try again.");
+            setIsLoading(false);
+            return false;
+        }
+        if (target.startDate !== settings.startDate) {
+            // A reset starts day 1 over today
+            const newSettings = { ...settings, startDate: target.startDate };
+            setSettings(newSettings);
+            storage
+                .saveSettings(newSettings)
+                .catch((error) =>
+                    console.error("Error restoring start date:", error)
+                );
+        }
+        setDailyLog(target.log);
+        setSessions(target.sessions);
+        setCurrentDay(target.currentDay);
+        setCurrentEnergy(target.currentEnergy);
+        setAccumulatedSecondsToday(
+            totalSeconds(sessionsForDay(target.sessions, target.currentDay))
+        );
+        setEditingDay(null);
+        setIsLoading(false);
+        return true;
+    };
+
+    const handleUndo = async () => {
+        const target = undoStack[undoStack.length - 1];
+        if (!target || isPracticing) return;
+        const current = currentSnapshot(target.label);
+        if (await restoreState(target, `Undo: ${target.label}`)) {
+            setUndoStack(undoStack.slice(0, -1));
+            setRedoStack([...redoStack, current]);
+        }
+    };
+
+    const handleRedo = async () => {
+        const target = redoStack[redoStack.length - 1];
+        if (!target || isPracticing) return;
+        const current = currentSnapshot(target.label);
+        if (await restoreState(target, `Redo: ${target.label}`)) {
+            setRedoStack(redoStack.slice(0, -1));
+            setUndoStack([...undoStack, current]);
+        }
+    };
+
+    undoRedoRef.current = { handleUndo, handleRedo };
+
+    // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS), except while typing in a field
+    useEffect(() => {
+        const handleKeyDown = (event) => {
+            if (!(event.ctrlKey || event.metaKey)) return;
+            if (event.key.toLowerCase() !== "z") return;
+            if (event.target.closest?.("input, textarea, select")) return;
+            event.preventDefault();
+            if (event.shiftKey) {
+                undoRedoRef.current.handleRedo();
+            } else {
+                undoRedoRef.current.handleUndo();
+            }
+        };
+        window.addEventListener("keydown", handleKeyDown);
+        return () => window.removeEventListener("keydown", handleKeyDown);
+    }, []);
+
     // Stopwatch Timer Effect
+    // Elapsed time is always recomputed from startTime, so throttled or
+    // suspended ticks cannot drift it; a long gap between ticks is recorded
+    // as sleep, and the page catches up as soon as it is visible again.
     useEffect(() => {
+        const tick = () => {
+            const now = Date.now();
+            const slept = sleepGapSeconds(lastTickRef.current ?? now, now);
+            lastTickRef.current = now;
+            if (slept > 0) {
+                sleptSecondsRef.current += slept;
+                saveActiveTimer(
+                    storage,
+                    user?.id,
+                    timerRecord(startTime, sleptSecondsRef.current)
+                );
+            }
+            touchActiveTimer(user?.id, now);
+            setElapsedTime(Math.floor((now - startTime) / 1000));
+        };
+        const handleVisibilityChange = () => {
+            if (document.visibilityState === "visible") tick();
+        };
+
         if (isPracticing && startTime) {
-            intervalRef.current = setInterval(() => {
-                setElapsedTime(Math.floor((Date.now() - startTime) / 1000));
-            }, 1000);
+            lastTickRef.current = Date.now();
+            intervalRef.current = setInterval(tick, 1000);
+            document.addEventListener(
+                "visibilitychange",
+                handleVisibilityChange
+            );
         } else {
             if (intervalRef.current) {
                 clearInterval(intervalRef.current);
@@ -157,17 +728,99 @@ const QigongCalculator = () => {
             if (intervalRef.current) {
                 clearInterval(intervalRef.current);
             }
+            document.removeEventListener(
+                "visibilitychange",
+                handleVisibilityChange
+            );
+            lastTickRef.current = null;
         };
     }, [isPracticing, startTime]);
 
+    // Keep the screen on while practicing, if enabled. The lock is lost
+    // whenever the page is hidden, so it is taken again on return.
+    useEffect(() => {
+        if (!isPracticing || !settings.keepScreenAwake) return;
+        if (!wakeLockSupported()) return;
+        let lock = null;
+        let released = false;
+        const acquire = async () => {
+            if (document.visibilityState !== "visible") return;
+            if (lock && !lock.released) return;
+            const newLock = await requestWakeLock();
+            if (released) newLock?.release();
+            else lock = newLock;
+        };
+        acquire();
+        document.addEventListener("visibilitychange", acquire);
+        return () => {
+            released = true;
+            document.removeEventListener("visibilitychange", acquire);
+            lock?.release();
+        };
+    }, [isPracticing, settings.keepScreenAwake]);
+
+    // Guided routine cues: a bell each time a new segment begins, and the
+    // session is committed once the last segment ends. Segments only move
+    // forward, so the elapsed time resetting after a commit stays silent.
+    useEffect(() => {
+        if (!isPracticing || !guidedRoutine) {
+            segmentIndexRef.current = null;
+            return;
+        }
+        const position = routinePosition(guidedRoutine, elapsedTime);
+        if (
+            segmentIndexRef.current !== null &&
+            position.index > segmentIndexRef.current
+        ) {
+            ringBell(position.done ? 3 : 1);
+        }
+        segmentIndexRef.current = position.index;
+        if (position.done) commitRunningSession(sessionTargetSeconds);
+    }, [isPracticing, elapsedTime, guidedRoutine]);
+
+    // Target length reached: ring, flag it on screen and, if chosen, save
+    // the session at exactly the target. Otherwise the timer runs on and
+    // the extra time is kept as the session's overtime.
+    useEffect(() => {
+        if (!isPracticing || guidedRoutine || !sessionTargetSeconds) {
+            targetReachedRef.current = false;
+            return;
+        }
+        if (elapsedTime < sessionTargetSeconds || targetReachedRef.current) {
+            return;
+        }
+        targetReachedRef.current = true;
+        ringBell(3);
+        setTargetReached(true);
+        if (settings.sessionTarget.autoCommit) {
+            commitRunningSession(sessionTargetSeconds);
+        }
+    }, [isPracticing, elapsedTime, sessionTargetSeconds]);
+
     // Start Practice Handler
     const handleStartPractice = () => {
         if (isPracticing) return;
         // Original logic: Start time based on current interval's elapsed time (if any)
-        setStartTime(Date.now() - elapsedTime * 1000);
+        const newStartTime = Date.now() - elapsedTime * 1000;
+        setStartTime(newStartTime);
         setIsPracticing(true);
+        setTargetReached(false);
+        sleptSecondsRef.current = 0;
+        saveActiveTimer(storage, user?.id, timerRecord(newStartTime));
+        // Audio needs this click to be allowed
+        if (sessionTargetSeconds) unlockBells();
+        if (guidedRoutine) ringBell(); // The first bell opens the routine
     };
 
+    // What is persisted for the running timer, see activeTimer.js
+    const timerRecord = (timerStart, sleptSeconds = 0) => ({
+        day: currentDay,
+        startTime: timerStart,
+        form: activeForm,
+        routineId: guidedRoutine?.id ?? null,
+        sleptSeconds,
+    });
+
     // End Practice Handler
     const handleEndPractice = async () => {
         if (!isPracticing || !startTime) return;
@@ -178,145 +831,196 @@ const QigongCalculator = () => {
             intervalRef.current = null;
         }
 
-        // Calculate the duration of the interval *just completed*
-        const endTime = Date.now();
-        const currentIntervalSeconds = Math.floor((endTime - startTime) / 1000);
+        await finishSession(startTime, Date.now());
+
+        // Reset timer state, ready for potential restart
+        setIsPracticing(false);
+        setStartTime(null);
+    };
 
-        // Add this interval's duration to the total accumulated for the day
-        const newAccumulatedSeconds =
-            accumulatedSecondsToday + currentIntervalSeconds;
+    // A guided routine or a target length ended: stop the timer and commit
+    // exactly `seconds` of the session, through the same path as pausing
+    const commitRunningSession = async (seconds) => {
+        if (intervalRef.current) {
+            clearInterval(intervalRef.current);
+            intervalRef.current = null;
+        }
+        const sessionStart = startTime;
+        setIsPracticing(false);
+        setStartTime(null);
+        await finishSession(sessionStart, sessionStart + seconds * 1000);
+    };
 
-        // Use the new total accumulated seconds for energy calculation
-        const totalMinutesToday = Math.max(
-            1,
-            Math.round(newAccumulatedSeconds / 60)
+    // Commit the session that just ended, unless the device slept during
+    // it: then hold it until the user confirms or trims the duration. The
+    // held session replaces the saved timer, so it survives a reload.
+    const finishSession = async (sessionStart, sessionEnd) => {
+        const details = {
+            targetSeconds: sessionTargetSeconds,
+            sleptSeconds: sleptSecondsRef.current,
+        };
+        sleptSecondsRef.current = 0;
+        if (details.sleptSeconds > 0) {
+            const held = {
+                ...timerRecord(sessionStart, details.sleptSeconds),
+                endTime: sessionEnd,
+                targetSeconds: details.targetSeconds,
+            };
+            saveActiveTimer(storage, user?.id, held);
+            setElapsedTime(0);
+            setSleptSession(held);
+            return;
+        }
+        await commitSession(
+            currentDay,
+            sessionStart,
+            sessionEnd,
+            activeForm,
+            details
         );
+    };
 
-        // Determine starting energy for today's calculation
-        const previousDayEnergy =
-            dailyLog.length > 0 ? dailyLog[dailyLog.length - 1].energy : 1;
-        const startingEnergyForToday = dailyLog.find(
-            (log) => log.day === currentDay
-        )?.practice
-            ? previousDayEnergy
-            : currentEnergy;
+    const handleCommitSleptSession = async (minutes) => {
+        const { day, startTime, form, targetSeconds, sleptSeconds } =
+            sleptSession;
+        setSleptSession(null);
+        const updatedLog = await commitSession(
+            day,
+            startTime,
+            startTime + minutes * 60 * 1000,
+            form ?? null,
+            { targetSeconds: targetSeconds ?? null, sleptSeconds }
+        );
+        checkMissedDays(updatedLog);
+    };
 
-        // Calculate new energy level based on TOTAL minutes today
-        const growthFactor = calculateGrowthFactor(totalMinutesToday);
-        // Calculate based on the start of the day's energy or the initial energy if day 1
-        const startEnergy =
-            dailyLog.length > 0 &&
-            dailyLog[dailyLog.length - 1].day === currentDay - 1
-                ? dailyLog[dailyLog.length - 1].energy
-                : currentDay === 1
-                ? 1
-                : currentEnergy; // Fallback, though previous logic might be better
+    const handleDiscardSleptSession = () => {
+        saveActiveTimer(storage, user?.id, null);
+        setSleptSession(null);
+        checkMissedDays(dailyLog);
+    };
 
-        const previousEnergyLevel =
-            dailyLog.length > 0 ? dailyLog[dailyLog.length - 1].energy : 1;
+    // Record a finished interval as a session of `day` and update that day's
+    // entry from all of its sessions. `details` carries the session's
+    // targetSeconds and sleptSeconds. Returns the updated log.
+    const commitSession = async (
+        day,
+        sessionStart,
+        sessionEnd,
+        form,
+        details = {}
+    ) => {
+        saveActiveTimer(storage, user?.id, null);
+        rememberState(`Practice session on Day ${day}`);
+
+        // Record the interval *just completed* as its own session
+        const session = createSession({
+            day,
+            startedAt: sessionStart,
+            endedAt: sessionEnd,
+            form,
+            ...details,
+        });
+        const todaySessions = [...sessionsForDay(sessions, day), session];
+        setSessions([...sessions, session]);
 
-        // Find the energy at the START of the current day
-        const startOfDayEnergy =
-            dailyLog.find((log) => log.day === currentDay - 1)?.energy ?? 1;
+        // The day's total is derived from all of today's sessions
+        const newAccumulatedSeconds = totalSeconds(todaySessions);
+        const totalMinutesToday = minutesFromSessions(todaySessions);
 
-        // Calculate new energy based on compounding from the start of the day
-        const newTotalEnergyToday = startOfDayEnergy * growthFactor;
-        const totalGainToday = newTotalEnergyToday - startOfDayEnergy;
+        // Find the energy at the START of the day
+        const startOfDayEnergy = energyBefore(dailyLog, day, energyParams);
+
+        // Calculate new energy level based on TOTAL minutes today
+        const logEntryData = applyDay(
+            startOfDayEnergy,
+            {
+                day,
+                date: dateForDay(settings.startDate, day),
+                practice: true,
+                minutes: totalMinutesToday,
+                formMinutes: formMinutesFromSessions(todaySessions),
+            },
+            energyParams
+        );
 
         // Update the main current energy state
-        setCurrentEnergy(newTotalEnergyToday);
+        setCurrentEnergy(logEntryData.energy);
 
         // Reset elapsedTime *before* updating accumulatedSeconds to prevent display flicker
         setElapsedTime(0);
         // Update accumulated seconds state *with the new total*
         setAccumulatedSecondsToday(newAccumulatedSeconds);
 
-        // Prepare log entry
-        const logEntryData = {
-            day: currentDay,
-            energy: parseFloat(newTotalEnergyToday.toFixed(2)),
-            practice: true,
-            minutes: totalMinutesToday,
-            gain: parseFloat(totalGainToday.toFixed(2)),
-            growthFactor: parseFloat(growthFactor.toFixed(6)),
-            loss: null, // Practice day means no loss
-        };
-
-        // Update local state
-        const logIndex = dailyLog.findIndex((log) => log.day === currentDay);
-        let updatedLog = [...dailyLog];
+        // Update local state, keeping anything already recorded on the day
+        const logIndex = dailyLog.findIndex((log) => log.day === day);
+        let loggedDays = [...dailyLog];
         if (logIndex > -1) {
-            updatedLog[logIndex] = logEntryData;
+            loggedDays[logIndex] = { ...dailyLog[logIndex], ...logEntryData };
         } else {
-            updatedLog.push(logEntryData);
+            loggedDays.push(logEntryData);
         }
+        const { log: updatedLog, changed } = recordMilestones(
+            loggedDays,
+            settings.milestones
+        );
         setDailyLog(updatedLog);
+        const entriesToSave = [
+            updatedLog.find((log) => log.day === day),
+            ...changed.filter((log) => log.day !== day),
+        ];
 
-        // --- Save to Supabase ---
-        console.log("Upserting to Supabase:", logEntryData); // Log data being sent
+        // --- Save to storage ---
         try {
-            const { data, error } = await supabase
-                .from("calculations")
-                .upsert(logEntryData, { onConflict: "day" }); // Upsert based on day
-
-            if (error) {
-                console.error("Error saving practice log to Supabase:", error);
-                // Handle error - maybe revert local state or show message?
-                throw error;
-            }
-            console.log("Practice log saved successfully:", data);
+            await storage.upsertSessions(session);
+            await storage.upsertDays(
+                entriesToSave,
+                `Practice session on Day ${day}`
+            );
         } catch (error) {
-            // Handle unexpected errors during Supabase operation
+            console.error("Error saving practice log:", error);
         }
         // ----------------------
 
-        // Reset timer state, ready for potential restart
-        setIsPracticing(false);
-        setStartTime(null);
+        return updatedLog;
     };
 
-    // Log a skipped day
-    const logSkippedDay = async () => {
-        if (isPracticing) return;
+    // Log a skipped day, or a planned rest day when `rest` is set
+    const logSkippedDay = async (rest = false) => {
+        if (isPracticing || !canAdvance) return;
         if (accumulatedSecondsToday > 0) return; // Don't log skip if practice started
+        rememberState(
+            rest ? `Rest on Day ${currentDay}` : `Skip Day ${currentDay}`
+        );
 
-        const energyLoss = currentEnergy * dailyEnergyLoss;
-        const newEnergy = currentEnergy - energyLoss;
-
-        // Prepare skip log entry
-        const skipLogData = {
-            day: currentDay,
-            energy: parseFloat(newEnergy.toFixed(2)),
-            practice: false,
-            minutes: 0,
-            gain: null,
-            growthFactor: null,
-            loss: parseFloat(energyLoss.toFixed(2)),
-        };
+        // Prepare skip log entry; its loss depends on the skips before it
+        const start = stateBefore(dailyLog, currentDay, energyParams);
+        const skipLogData = applyDay(
+            start.energy,
+            {
+                day: currentDay,
+                date: dateForDay(settings.startDate, currentDay),
+                practice: false,
+                rest,
+                minutes: 0,
+            },
+            energyParams,
+            start.skipRun
+        );
 
         // Update local state
         const newLog = [...dailyLog, skipLogData];
         setDailyLog(newLog);
-        setCurrentEnergy(newEnergy);
+        setCurrentEnergy(skipLogData.energy);
 
-        // --- Save to Supabase ---
-        console.log("Inserting skipped day to Supabase:", skipLogData); // Log data being sent
+        // --- Save to storage ---
         try {
-            const { data, error } = await supabase
-                .from("calculations")
-                .insert(skipLogData);
-
-            if (error) {
-                console.error(
-                    "Error saving skipped day log to Supabase:",
-                    error
-                );
-                // Handle error
-                throw error;
-            }
-            console.log("Skipped day log saved successfully:", data);
+            await storage.upsertDays(
+                skipLogData,
+                `${rest ? "Rest day on" : "Skipped"} Day ${skipLogData.day}`
+            );
         } catch (error) {
-            // Handle unexpected errors during Supabase operation
+            console.error("Error saving skipped day log:", error);
         }
         // ----------------------
 
@@ -334,23 +1038,30 @@ const QigongCalculator = () => {
 
     // Renamed from nextDay: ADVANCES DAY AND RESETS TIMER
     const advanceToNextDay = () => {
-        if (isPracticing) return;
+        if (isPracticing || !canAdvance) return;
+        rememberState(`Advance to Day ${currentDay + 1}`);
 
         // If no practice or skip has been logged for the current day,
-        // create a default skip entry before advancing.
+        // create a default skip entry (a rest entry on a scheduled rest
+        // day) before advancing.
         const todayLogExists = dailyLog.some((log) => log.day === currentDay);
         if (!todayLogExists) {
-            const energyLoss = currentEnergy * dailyEnergyLoss;
-            const newEnergy = currentEnergy - energyLoss;
-            const skipLog = {
-                day: currentDay,
-                energy: parseFloat(newEnergy.toFixed(2)),
-                practice: false,
-                minutes: 0,
-                loss: parseFloat(energyLoss.toFixed(2)),
-            };
+            const start = stateBefore(dailyLog, currentDay, energyParams);
+            const date = dateForDay(settings.startDate, currentDay);
+            const skipLog = applyDay(
+                start.energy,
+                {
+                    day: currentDay,
+                    date,
+                    practice: false,
+                    rest: isRestDay(settings.schedule, date),
+                    minutes: 0,
+                },
+                energyParams,
+                start.skipRun
+            );
             setDailyLog([...dailyLog, skipLog]);
-            setCurrentEnergy(newEnergy); // Update energy based on the implicit skip
+            setCurrentEnergy(skipLog.energy); // Update energy based on the implicit skip
         }
 
         // Advance day counter
@@ -378,118 +1089,73 @@ const QigongCalculator = () => {
         return "bg-emerald-300"; // Base color
     };
 
-    // Determine progress message
+    // Determine progress message from the highest milestone reached
     const getProgressMessage = () => {
-        const percentComplete = (currentEnergy / targetEnergy) * 100;
-
-        if (percentComplete >= 150) return "Extraordinary Mastery! 🌟";
-        if (percentComplete >= 100) return "Goal Achieved! 💫";
-        if (percentComplete >= 75) return "Excellent Progress 🌲✨";
-        if (percentComplete >= 50) return "Good Progress 🌲";
-        if (percentComplete >= 25) return "Building Foundation 🪵";
-        if (percentComplete > 0) return "Beginning Journey 🌱";
+        const milestone = highestReached(settings.milestones, currentEnergy);
+        if (milestone) return milestone.name;
+        if (currentEnergy > 0) return "Beginning Journey 🌱";
         return "Start Your Practice";
     };
 
-    // Format for tooltip
-    const formatTooltip = (value, name, props) => {
-        if (name === "energy")
-            return [`${value.toFixed(1)} energy`, "Energy Level"];
-        return [value, name];
-    };
-
-    // Helper function to format seconds into HH:MM:SS
-    const formatTime = (totalSeconds) => {
-        const hours = Math.floor(totalSeconds / 3600);
-        const minutes = Math.floor((totalSeconds % 3600) / 60);
-        const seconds = Math.floor(totalSeconds % 60);
-        return `${hours.toString().padStart(2, "0")}:${minutes
-            .toString()
-            .padStart(2, "0")}:${seconds.toString().padStart(2, "0")}`;
+    // Save an edited milestone ladder and re-record where each was crossed
+    const handleSaveMilestones = async (milestones) => {
+        const newSettings = { ...settings, milestones };
+        setSettings(newSettings);
+        forgetHistory();
+        const { log: updatedLog, changed } = recordMilestones(
+            dailyLog,
+            milestones
+        );
+        setDailyLog(updatedLog);
+        try {
+            await storage.saveSettings(newSettings);
+            if (changed.length > 0) {
+                await storage.upsertDays(changed, "Milestones changed");
+            }
+        } catch (error) {
+            console.error("Error saving milestones:", error);
+        }
     };
 
     // Recalculate energy levels from a specific day forward
-    // Handles both local state and Supabase updates
-    const recalculateEnergyFromDay = async (startIndex, logData) => {
+    // Handles both local state and storage updates
+    // `params` defaults to the current settings; pass new ones when the
+    // settings themselves just changed
+    const recalculateEnergyFromDay = async (
+        startIndex,
+        logData,
+        params = energyParams,
+        reason = "Recalculation" // Recorded in the audit trail
+    ) => {
         setIsLoading(true);
-        let recalculatedLog = [...logData]; // Use the passed log data
-        let updatesForSupabase = [];
-
-        // Get the energy level from the day *before* the startIndex
-        let previousDayEnergy =
-            startIndex > 0 ? recalculatedLog[startIndex - 1].energy : 1;
-
-        for (let i = startIndex; i < recalculatedLog.length; i++) {
-            let currentEntry = { ...recalculatedLog[i] }; // Create a mutable copy
-            let startEnergyForDay = previousDayEnergy;
-
-            if (currentEntry.practice) {
-                const growthFactor = calculateGrowthFactor(
-                    currentEntry.minutes
-                );
-                const newEnergy = startEnergyForDay * growthFactor;
-                const energyGain = newEnergy - startEnergyForDay;
-
-                // Update entry for local state & Supabase
-                currentEntry.energy = parseFloat(newEnergy.toFixed(2));
-                currentEntry.gain = parseFloat(energyGain.toFixed(2));
-                currentEntry.growthFactor = parseFloat(growthFactor.toFixed(6));
-                currentEntry.loss = null; // Reset loss if it was previously skipped
-            } else {
-                // If a day was skipped, recalculate loss based on potentially changed previous day energy
-                const energyLoss = startEnergyForDay * dailyEnergyLoss;
-                const newEnergy = startEnergyForDay - energyLoss;
-
-                // Update entry for local state & Supabase
-                currentEntry.energy = parseFloat(newEnergy.toFixed(2));
-                currentEntry.loss = parseFloat(energyLoss.toFixed(2));
-                currentEntry.gain = null; // Reset gain
-                currentEntry.growthFactor = null; // Reset growthFactor
-            }
-
-            recalculatedLog[i] = currentEntry; // Update the local array copy
-            updatesForSupabase.push(currentEntry); // Add to batch update
-            previousDayEnergy = currentEntry.energy; // Set energy for next iteration
-        }
-
-        // --- Update Supabase ---
-        if (updatesForSupabase.length > 0) {
-            console.log(
-                "Batch updating Supabase with recalculated data:",
-                updatesForSupabase
-            );
+        // Replay every day from startIndex, chaining off the day before it,
+        // then re-record milestones: the edit may move or undo a crossing
+        const { log: recalculatedLog, changed } = recordMilestones(
+            replay(logData, params, startIndex),
+            settings.milestones
+        );
+        const recalculatedDays = recalculatedLog.slice(startIndex);
+        const updatesForStorage = [
+            ...changed.filter((log) => !recalculatedDays.includes(log)),
+            ...recalculatedDays,
+        ];
+
+        // --- Update storage ---
+        if (updatesForStorage.length > 0) {
             try {
-                const { data, error } = await supabase
-                    .from("calculations")
-                    .upsert(updatesForSupabase, { onConflict: "day" });
-
-                if (error) {
-                    console.error(
-                        "Error batch updating Supabase after edit:",
-                        error
-                    );
-                    alert(
-                        "Failed to save recalculations to the database. Please check console and refresh."
-                    );
-                    setIsLoading(false);
-                    return; // Stop if Supabase update fails
-                }
-                console.log("Supabase batch update successful:", data);
+                await storage.upsertDays(updatesForStorage, reason);
             } catch (error) {
-                console.error(
-                    "Unexpected error during Supabase batch update:",
-                    error
-                );
+                console.error("Error batch updating storage after edit:", error);
                 alert(
-                    "An unexpected error occurred while saving recalculations."
+                    "Failed to save recalculations to the database. Please check console and refresh."
                 );
                 setIsLoading(false);
-                return;
+                return; // Stop if storage update fails
             }
         }
         // ---------------------
 
-        // Update local state only after successful Supabase update
+        // Update local state only after successful storage update
         setDailyLog(recalculatedLog);
 
         // Update currentEnergy based on the energy level at the END of the day *before* the current UI day
@@ -526,58 +1192,295 @@ const QigongCalculator = () => {
             return;
         }
 
-        // Ensure we are editing a practice day's minutes
-        if (!dailyLog[targetIndex].practice) {
-            console.warn("Cannot edit minutes for a skipped day.");
+        // 0 minutes marks a practiced day as skipped
+        if (newMinutes === 0) {
             setEditingDay(null);
+            if (dailyLog[targetIndex].practice) await handleMarkInactive(day);
             return;
         }
 
         // Avoid recalculation if minutes haven't changed
-        if (dailyLog[targetIndex].minutes === newMinutes) {
+        const wasPracticed = dailyLog[targetIndex].practice;
+        if (wasPracticed && dailyLog[targetIndex].minutes === newMinutes) {
             setEditingDay(null); // Just exit editing mode
             return;
         }
 
-        // Create an updated log copy *before* recalculation for the function
+        // Create an updated log copy *before* recalculation for the function.
+        // Minutes on a skipped day turn it into a practice day; a form
+        // breakdown (e.g. from an import) is rescaled to the new total.
         const logCopyWithEdit = dailyLog.map((log, index) => {
             if (index === targetIndex) {
-                return { ...log, minutes: newMinutes };
+                return {
+                    ...log,
+                    practice: true,
+                    excused: false,
+                    rest: false,
+                    minutes: newMinutes,
+                    formMinutes: wasPracticed
+                        ? scaleFormMinutes(
+                              log.formMinutes,
+                              log.minutes,
+                              newMinutes
+                          )
+                        : null,
+                };
             }
             return log;
         });
 
         // Recalculate starting from the edited day
-        // This function now handles Supabase updates internally
-        await recalculateEnergyFromDay(targetIndex, logCopyWithEdit);
+        // This function now handles storage updates internally
+        const action = wasPracticed
+            ? `Edited minutes on Day ${day}`
+            : `Marked Day ${day} as practiced`;
+        rememberState(action);
+        await recalculateEnergyFromDay(
+            targetIndex,
+            logCopyWithEdit,
+            energyParams,
+            action
+        );
 
         setEditingDay(null); // Exit editing mode after successful recalculation and save
     };
 
+    // Turn a day into a skipped, excused (neither gains nor loses energy) or
+    // rest day, dropping its sessions
+    const handleMarkInactive = async (day, status = "skipped") => {
+        const daySessions = sessionsForDay(sessions, day);
+        if (
+            !window.confirm(
+                `Mark Day ${day} as ${status}?${
+                    daySessions.length > 0
+                        ? ` Its ${daySessions.length} recorded session(s) will be deleted.`
+                        : ""
+                } This will recalculate all subsequent days.`
+            )
+        ) {
+            return;
+        }
+
+        const action = `Marked Day ${day} as ${status}`;
+        rememberState(action);
+        setSessions(sessions.filter((session) => session.day !== day));
+        try {
+            for (const session of daySessions) {
+                await storage.deleteSession(session.id);
+            }
+        } catch (error) {
+            console.error("Error deleting sessions:", error);
+        }
+        if (day === currentDay) setAccumulatedSecondsToday(0);
+        if (expandedDay === day) setExpandedDay(null);
+
+        const targetIndex = dailyLog.findIndex((log) => log.day === day);
+        const logCopyWithEdit = dailyLog.map((log, index) =>
+            index === targetIndex
+                ? {
+                      ...log,
+                      practice: false,
+                      excused: status === "excused",
+                      rest: status === "rest",
+                      minutes: 0,
+                      formMinutes: null,
+                  }
+                : log
+        );
+        await recalculateEnergyFromDay(
+            targetIndex,
+            logCopyWithEdit,
+            energyParams,
+            action
+        );
+    };
+
+    // Add a day that is missing from the timeline (e.g. after a deletion).
+    // Day numbers follow dates, so only free days before today qualify.
+    const handleInsertDay = async (date, minutes) => {
+        const day = dayForDate(settings.startDate, date);
+        if (day < 1 || day >= currentDay) {
+            alert(
+                "Pick a date between Day 1 and yesterday to add a missing day."
+            );
+            return false;
+        }
+        if (dailyLog.some((log) => log.day === day)) {
+            alert(
+                `Day ${day} is already logged. Edit it in the table instead.`
+            );
+            return false;
+        }
+
+        const action = `Inserted Day ${day}`;
+        rememberState(action);
+        const logWithDay = [
+            ...dailyLog,
+            {
+                day,
+                date,
+                practice: minutes > 0,
+                minutes,
+                formMinutes: null,
+            },
+        ].sort((a, b) => a.day - b.day);
+        await recalculateEnergyFromDay(
+            logWithDay.findIndex((log) => log.day === day),
+            logWithDay,
+            energyParams,
+            action
+        );
+        return true;
+    };
+
+    // Rederive a day's minutes from its sessions and recalculate from there
+    const applySessionChange = async (day, daySessions) => {
+        if (day === currentDay) {
+            setAccumulatedSecondsToday(totalSeconds(daySessions));
+        }
+        const targetIndex = dailyLog.findIndex((log) => log.day === day);
+        if (targetIndex === -1) return;
+
+        const logCopyWithEdit = dailyLog.map((log, index) =>
+            index === targetIndex
+                ? {
+                      ...log,
+                      minutes: minutesFromSessions(daySessions),
+                      formMinutes: formMinutesFromSessions(daySessions),
+                  }
+                : log
+        );
+        await recalculateEnergyFromDay(
+            targetIndex,
+            logCopyWithEdit,
+            energyParams,
+            `Session changed on Day ${day}`
+        );
+    };
+
+    // Handle editing a single session's duration or notes
+    const handleUpdateSession = async (updatedSession) => {
+        const updatedSessions = sessions.map((session) =>
+            session.id === updatedSession.id ? updatedSession : session
+        );
+        rememberState(`Edit session on Day ${updatedSession.day}`);
+        setSessions(updatedSessions);
+
+        try {
+            await storage.upsertSessions(updatedSession);
+        } catch (error) {
+            console.error("Error saving session:", error);
+        }
+        await applySessionChange(
+            updatedSession.day,
+            sessionsForDay(updatedSessions, updatedSession.day)
+        );
+    };
+
+    // Handle deleting a single session
+    const handleDeleteSession = async (sessionToDelete) => {
+        const remaining = sessionsForDay(sessions, sessionToDelete.day).filter(
+            (session) => session.id !== sessionToDelete.id
+        );
+
+        // A practiced day needs at least one session; offer to drop the day
+        if (remaining.length === 0) {
+            await handleDeleteDay(
+                sessionToDelete.day,
+                dailyLog.findIndex((log) => log.day === sessionToDelete.day)
+            );
+            return;
+        }
+
+        if (
+            !window.confirm(
+                `Delete this session from Day ${sessionToDelete.day}? This will recalculate all subsequent days.`
+            )
+        ) {
+            return;
+        }
+
+        rememberState(`Delete session on Day ${sessionToDelete.day}`);
+        setSessions(
+            sessions.filter((session) => session.id !== sessionToDelete.id)
+        );
+        try {
+            await storage.deleteSession(sessionToDelete.id);
+        } catch (error) {
+            console.error("Error deleting session:", error);
+        }
+        await applySessionChange(sessionToDelete.day, remaining);
+    };
+
+    // Renumber policy: close the hole left by a deleted day by moving every
+    // later day (and its sessions) back by one, onto the date that day number
+    // now stands for. Day 1 stays put, so earlier days keep their dates.
+    // Storage is written before local state changes. Returns the log to
+    // recalculate and where from.
+    const renumberAfterDelete = async (deletedDay, log, deletedIndex) => {
+        const lastDay = log[log.length - 1]?.day ?? 0;
+        if (lastDay < deletedDay) return { log, startIndex: deletedIndex };
+
+        const renumbered = log.map((entry) => {
+            if (entry.day < deletedDay) return entry;
+            const day = entry.day - 1;
+            return { ...entry, day, date: dateForDay(settings.startDate, day) };
+        });
+        const movedSessions = sessions
+            .filter((session) => session.day > deletedDay)
+            .map((session) => ({ ...session, day: session.day - 1 }));
+
+        // Sessions first: deleting the old last day also deletes its sessions
+        if (movedSessions.length > 0) {
+            await storage.upsertSessions(movedSessions);
+        }
+        await storage.deleteDay(
+            lastDay,
+            `Renumbered after deleting Day ${deletedDay}`
+        );
+
+        setSessions([
+            ...sessions.filter((session) => session.day < deletedDay),
+            ...movedSessions,
+        ]);
+        return { log: renumbered, startIndex: deletedIndex };
+    };
+
     // Handle deleting a specific day
     const handleDeleteDay = async (dayToDelete, indexToDelete) => {
+        // What happens to the hole depends on the gap policy setting
+        if (settings.gapPolicy === "excused") {
+            await handleMarkInactive(dayToDelete, "excused");
+            return;
+        }
+        const renumber = settings.gapPolicy === "renumber";
+        if (renumber && isPracticing) {
+            alert("Pause the timer first: deleting a day renumbers later days.");
+            return;
+        }
         if (
             !window.confirm(
-                `Are you sure you want to delete Day ${dayToDelete}? This will recalculate all subsequent days.`
+                `Are you sure you want to delete Day ${dayToDelete}? ${
+                    renumber ? "Later days will be renumbered and" : "This will"
+                } recalculate all subsequent days.`
             )
         ) {
             return;
         }
+        rememberState(`Delete Day ${dayToDelete}`);
 
         setIsLoading(true);
         try {
-            // Delete from Supabase
-            console.log(
-                `Attempting to delete Day ${dayToDelete} from Supabase...`
-            );
-            const { error: deleteError } = await supabase
-                .from("calculations")
-                .delete()
-                .eq("day", dayToDelete);
-
-            if (deleteError) {
+            // Delete from storage
+            console.log(`Attempting to delete Day ${dayToDelete}...`);
+            try {
+                await storage.deleteDay(
+                    dayToDelete,
+                    `Deleted Day ${dayToDelete}`
+                );
+            } catch (deleteError) {
                 console.error(
-                    `Error deleting Day ${dayToDelete} from Supabase:`,
+                    `Error deleting Day ${dayToDelete}:`,
                     deleteError
                 );
                 alert(
@@ -585,35 +1488,42 @@ const QigongCalculator = () => {
                 );
                 throw deleteError; // Throw to prevent further processing
             }
-            console.log(
-                `Successfully deleted Day ${dayToDelete} from Supabase.`
-            );
+            console.log(`Successfully deleted Day ${dayToDelete}.`);
 
-            // Filter out the deleted day locally
+            // Filter out the deleted day (and its sessions) locally
+            setSessions(
+                sessions.filter((session) => session.day !== dayToDelete)
+            );
             const logAfterDelete = dailyLog.filter(
                 (log) => log.day !== dayToDelete
             );
 
-            // Re-assign day numbers sequentially for the remaining logs
-            // This is crucial if the `day` column itself is used for ordering/joins later
-            // Though maybe not strictly necessary if recalculate handles indices correctly?
-            // For now, let's keep it simple and recalculate based on index.
-            /* // Example of re-assigning days (Consider if needed)
-            const finalLog = logAfterDelete.map((log, index) => ({
-                 ...log,
-                 day: index + 1 // Assuming first day is 1
-             }));
-            */
-            const finalLog = logAfterDelete; // Keep original day numbers for now, recalculate handles sequence
+            // Under the decay policy the hole stays and replay decays across
+            // it; the renumber policy closes it
+            let finalLog = logAfterDelete;
+            let recalcFrom = indexToDelete;
+            if (renumber) {
+                ({ log: finalLog, startIndex: recalcFrom } =
+                    await renumberAfterDelete(
+                        dayToDelete,
+                        logAfterDelete,
+                        indexToDelete
+                    ));
+            }
 
             // Recalculate from the index where the item was deleted
             // If there are any days left after the deleted one
-            if (indexToDelete < finalLog.length) {
+            if (recalcFrom < finalLog.length) {
                 console.log(
-                    `Recalculating energy from index ${indexToDelete} after deleting Day ${dayToDelete}.`
+                    `Recalculating energy from index ${recalcFrom} after deleting Day ${dayToDelete}.`
                 );
                 // Pass the log *after* deletion to the recalculation function
-                await recalculateEnergyFromDay(indexToDelete, finalLog);
+                await recalculateEnergyFromDay(
+                    recalcFrom,
+                    finalLog,
+                    energyParams,
+                    `Deleted Day ${dayToDelete}`
+                );
             } else {
                 // If the last day was deleted, just update the state with the filtered log
                 // and potentially reset currentEnergy based on the new last day
@@ -624,13 +1534,11 @@ const QigongCalculator = () => {
                 const newLastDay =
                     finalLog.length > 0 ? finalLog[finalLog.length - 1] : null;
                 setCurrentEnergy(newLastDay ? newLastDay.energy : 1); // Reset to 1 if log is empty
-                // We still need to update Supabase for any remaining days if their day numbers were reassigned
-                // but since we are NOT reassigning days currently, this else block is simpler.
             }
 
             // Note: recalculateEnergyFromDay already calls setIsLoading(false) at the end
             // Ensure it's called even if we don't recalculate (last day deleted scenario)
-            if (indexToDelete >= finalLog.length) {
+            if (recalcFrom >= finalLog.length) {
                 setIsLoading(false);
             }
         } catch (error) {
@@ -640,22 +1548,112 @@ const QigongCalculator = () => {
         }
     };
 
+    // Put a day back to a version from its change history and recalculate
+    // every day after it
+    const handleRevertDay = async (version) => {
+        const { day } = version;
+        const activity = version.practice
+            ? `${version.minutes} min`
+            : version.excused
+            ? "excused"
+            : version.rest
+            ? "a rest day"
+            : "skipped";
+        if (
+            !window.confirm(
+                `Restore Day ${day} to ${activity}? This will recalculate all subsequent days.`
+            )
+        ) {
+            return;
+        }
+        rememberState(`Revert Day ${day}`);
+        const logWithVersion = [
+            ...dailyLog.filter((log) => log.day !== day),
+            {
+                ...dailyLog.find((log) => log.day === day),
+                day,
+                date: version.date,
+                practice: version.practice,
+                excused: version.excused,
+                rest: version.rest,
+                minutes: version.minutes,
+                formMinutes: version.formMinutes,
+            },
+        ].sort((a, b) => a.day - b.day);
+        await recalculateEnergyFromDay(
+            logWithVersion.findIndex((log) => log.day === day),
+            logWithVersion,
+            energyParams,
+            `Reverted Day ${day}`
+        );
+        setHistoryDay(null);
+    };
+
+    // Open a day from the calendar: scroll its row into view and start
+    // editing its minutes (or list its sessions, if it has any). Minutes on
+    // a day that was not practiced mark it practiced.
+    const handleSelectDay = (day) => {
+        if (!dailyLog.some((entry) => entry.day === day)) return;
+        if (hasSessions(day)) {
+            setExpandedDay(day);
+        } else {
+            setEditingDay(day);
+        }
+        document
+            .getElementById(`history-day-${day}`)
+            ?.scrollIntoView({ behavior: "smooth", block: "center" });
+    };
+
+    // Days with recorded sessions derive their minutes; others edit them directly
+    const hasSessions = (day) =>
+        sessions.some((session) => session.day === day);
+
     // Determine if any practice has happened today (used for button logic)
     const hasPracticedToday = dailyLog.some(
         (log) => log.day === currentDay && log.practice
     );
+    // Days only advance up to today; today is logged once it has passed
+    const todayDay = settings.startDate
+        ? dayForDate(settings.startDate, todayISO())
+        : currentDay;
+    const canAdvance = currentDay < todayDay;
+    // Skipping needs a past day with no practice and the timer stopped
+    const canSkip =
+        canAdvance && !isPracticing && accumulatedSecondsToday === 0;
+    // The weekly schedule's plan for the current day
+    const currentDate =
+        settings.startDate && dateForDay(settings.startDate, currentDay);
+    const restToday =
+        currentDate && isRestDay(settings.schedule, currentDate);
 
     // Helper function to calculate date based on day number
-    const getDateForDay = (day) => {
-        const startDate = new Date("2025-03-30"); // Day 1 is March 30, 2025 (shifted forward by 1 day)
-        const date = new Date(startDate);
-        date.setDate(startDate.getDate() + (day - 1));
-        return date.toLocaleDateString("en-US", {
-            month: "short",
-            day: "numeric",
-            year: "numeric",
-        });
-    };
+    const getDateForDay = (day) =>
+        formatDate(dateForDay(settings.startDate, day));
+
+    // Where each milestone was first crossed, for the ladder
+    const milestoneCrossings = crossingsByMilestone(dailyLog);
+
+    // Forecast from the end of the latest logged day (today's entry included)
+    const lastLoggedDay = dailyLog[dailyLog.length - 1];
+    const forecastStartDay = hasPracticedToday ? currentDay + 1 : currentDay;
+    const projection = projectEnergy({
+        startDay: forecastStartDay,
+        startEnergy: currentEnergy,
+        minutesPerDay: plan.minutesPerDay,
+        skipRate: plan.skipRate,
+        target: targetEnergy,
+        params: energyParams,
+    });
+
+    // Actual log plus the dashed forecast, joined at the latest logged day
+    const chartData =
+        plan.showOnChart && lastLoggedDay
+            ? [
+                  ...dailyLog.slice(0, -1),
+                  { ...lastLoggedDay, projectedEnergy: lastLoggedDay.energy },
+                  ...projection.points,
+              ]
+            : dailyLog;
 
     // Render loading state
     if (isLoading) {
@@ -671,20 +1669,150 @@ const QigongCalculator = () => {
                 Track your qigong energy growth through consistent practice
             </div>
 
+            <SyncStatus storage={storage} onResolved={fetchLog} />
+
+            <UndoRedoBar
+                undoLabel={undoStack[undoStack.length - 1]?.label}
+                redoLabel={redoStack[redoStack.length - 1]?.label}
+                disabled={isPracticing}
+                onUndo={handleUndo}
+                onRedo={handleRedo}
+            />
+
+            {staleTimer && (
+                <StaleTimerPrompt
+                    timer={staleTimer}
+                    onResume={handleResumeStaleTimer}
+                    onDiscard={handleDiscardStaleTimer}
+                    onCommit={handleCommitStaleTimer}
+                />
+            )}
+
+            {sleptSession && (
+                <SleptSessionPrompt
+                    session={sleptSession}
+                    onCommit={handleCommitSleptSession}
+                    onDiscard={handleDiscardSleptSession}
+                />
+            )}
+
+            {missedDayEntries && (
+                <MissedDaysPrompt
+                    entries={missedDayEntries}
+                    energyBefore={currentEnergy}
+                    disabled={isPracticing || accumulatedSecondsToday > 0}
+                    onApply={applyMissedDays}
+                    onDismiss={() => setMissedDayEntries(null)}
+                />
+            )}
+
             {/* Configuration Panel - Replaced with Stopwatch */}
             <div className="bg-stone-100 p-4 rounded-lg mb-6 shadow-sm">
                 <h2 className="text-lg font-semibold mb-3 text-stone-700">
-                    Practice Timer (Day {currentDay})
+                    Practice Timer (Day {currentDay} ·{" "}
+                    {getDateForDay(currentDay)})
                 </h2>
                 <div className="space-y-3 text-center">
-                    <div className="text-4xl font-mono font-semibold text-emerald-700">
-                        {formatTime(accumulatedSecondsToday + elapsedTime)}
-                    </div>
+                    <select
+                        value={activeForm ?? ""}
+                        onChange={(e) => setSelectedForm(e.target.value)}
+                        disabled={isPracticing}
+                        className="w-full rounded-md border border-stone-300 p-2 text-stone-700 disabled:bg-stone-200"
+                        title="Practice form for this session"
+                    >
+                        {settings.forms.map((form) => (
+                            <option key={form.id} value={form.id}>
+                                {form.name} ({form.multiplier}x)
+                            </option>
+                        ))}
+                    </select>
+                    <select
+                        value={guidedRoutine?.id ?? ""}
+                        onChange={(e) =>
+                            setGuidedRoutineId(e.target.value || null)
+                        }
+                        disabled={isPracticing}
+                        className="w-full rounded-md border border-stone-300 p-2 text-stone-700 disabled:bg-stone-200"
+                        title="Open-ended stopwatch or a guided routine"
+                    >
+                        <option value="">Open-ended stopwatch</option>
+                        {settings.routines.map((routine) => (
+                            <option key={routine.id} value={routine.id}>
+                                Guided: {routine.name}
+                            </option>
+                        ))}
+                    </select>
+                    {!guidedRoutine && (
+                        <div className="flex flex-wrap items-center justify-center gap-3 text-sm text-stone-700">
+                            <label className="flex items-center gap-1">
+                                Target
+                                <select
+                                    value={targetMinutes ?? ""}
+                                    onChange={(e) =>
+                                        handleSessionTargetChange({
+                                            minutes:
+                                                parseInt(e.target.value) ||
+                                                null,
+                                        })
+                                    }
+                                    disabled={isPracticing}
+                                    className="rounded-md border border-stone-300 p-1 disabled:bg-stone-200"
+                                >
+                                    <option value="">None</option>
+                                    {COMMON_DURATIONS.map((minutes) => (
+                                        <option key={minutes} value={minutes}>
+                                            {minutes} min
+                                        </option>
+                                    ))}
+                                </select>
+                            </label>
+                            {targetMinutes && (
+                                <label className="flex items-center gap-1">
+                                    <input
+                                        type="checkbox"
+                                        checked={
+                                            settings.sessionTarget.autoCommit
+                                        }
+                                        onChange={(e) =>
+                                            handleSessionTargetChange({
+                                                autoCommit: e.target.checked,
+                                            })
+                                        }
+                                        disabled={isPracticing}
+                                    />
+                                    Save automatically at target
+                                </label>
+                            )}
+                        </div>
+                    )}
+                    {targetReached && !guidedRoutine && (
+                        <div className="rounded bg-emerald-100 text-emerald-800 font-medium py-2 animate-pulse">
+                            🔔 Target of {targetMinutes} min reached
+                            {isPracticing
+                                ? " · overtime is being tracked"
+                                : " · session saved"}
+                        </div>
+                    )}
+                    {guidedRoutine ? (
+                        <GuidedRoutineDisplay
+                            routine={guidedRoutine}
+                            elapsed={elapsedTime}
+                        />
+                    ) : sessionTargetSeconds && isPracticing ? (
+                        <SessionTargetDisplay
+                            targetSeconds={sessionTargetSeconds}
+                            elapsed={elapsedTime}
+                        />
+                    ) : (
+                        <div className="text-4xl font-mono font-semibold text-emerald-700">
+                            {formatTimer(accumulatedSecondsToday + elapsedTime)}
+                        </div>
+                    )}
                     <div className="text-lg font-semibold text-stone-500">
                         {isPracticing
                             ? "Practice in progress..."
                             : accumulatedSecondsToday > 0
-                            ? `Total today: ${formatTime(
+                            ? `Total today: ${formatTimer(
                                   accumulatedSecondsToday
                               )} (${Math.round(
                                   accumulatedSecondsToday / 60
@@ -696,23 +1824,48 @@ const QigongCalculator = () => {
                             onClick={handleEndPractice}
                             className="w-full bg-amber-600 hover:bg-amber-700 text-white font-bold py-3 px-4 rounded transition duration-150 ease-in-out shadow-md"
                         >
-                            Pause Practice
+                            {guidedRoutine
+                                ? "End Routine Early"
+                                : "Pause Practice"}
                         </button>
                     ) : (
                         <button
                             onClick={handleStartPractice}
-                            className={`w-full font-bold py-3 px-4 rounded bg-emerald-600 hover:bg-emerald-700 text-white transition duration-150 ease-in-out shadow-md`}
+                            disabled={sleptSession !== null} // Settle the held session first
+                            className={`w-full font-bold py-3 px-4 rounded bg-emerald-600 hover:bg-emerald-700 disabled:bg-stone-300 text-white transition duration-150 ease-in-out shadow-md`}
                         >
-                            {accumulatedSecondsToday > 0
+                            {guidedRoutine
+                                ? "Start Routine"
+                                : accumulatedSecondsToday > 0
                                 ? "Resume Practice"
                                 : "Start Practice"}
                         </button>
                     )}
                     <div className="text-xs text-stone-500 italic mt-2">
-                        {isPracticing
+                        {guidedRoutine
+                            ? "A bell marks each new segment; the session is saved when the routine ends."
+                            : isPracticing
                             ? "Press 'Pause Practice' when taking a break or finished for the session."
                             : "Press 'Start/Resume Practice' to time your session(s)."}
                     </div>
+                    <label
+                        className="flex items-center justify-center gap-2 text-sm text-stone-600"
+                        title={
+                            wakeLockSupported()
+                                ? "Stops the screen from sleeping during practice"
+                                : "This browser cannot keep the screen awake"
+                        }
+                    >
+                        <input
+                            type="checkbox"
+                            checked={settings.keepScreenAwake}
+                            disabled={!wakeLockSupported()}
+                            onChange={(e) =>
+                                handleKeepScreenAwakeChange(e.target.checked)
+                            }
+                        />
+                        Keep screen awake while practicing
+                    </label>
                 </div>
             </div>
 
@@ -744,24 +1897,95 @@ const QigongCalculator = () => {
                 <div className="mt-1 text-center font-medium text-lg text-emerald-700">
                     {getProgressMessage()}
                 </div>
+
+                {/* Other active goals */}
+                {activeGoals(settings.milestones)
+                    .filter((goal) => goal.energy !== targetEnergy)
+                    .map((goal) => (
+                        <div key={goal.id} className="mt-3">
+                            <div className="flex justify-between text-xs text-stone-600 mb-1">
+                                <span>{goal.name}</span>
+                                <span>
+                                    {currentEnergy.toFixed(1)} / {goal.energy}
+                                </span>
+                            </div>
+                            <div className="bg-stone-200 rounded-full h-2 overflow-hidden">
+                                <div
+                                    className="h-full bg-teal-400 transition-all duration-500"
+                                    style={{
+                                        width: `${Math.min(
+                                            100,
+                                            (currentEnergy / goal.energy) * 100
+                                        )}%`,
+                                    }}
+                                ></div>
+                            </div>
+                        </div>
+                    ))}
+
+                {/* Milestone ladder */}
+                <ul className="mt-4 grid grid-cols-1 sm:grid-cols-2 gap-1 text-sm">
+                    {sortMilestones(settings.milestones).map((milestone) => {
+                        const crossing = milestoneCrossings[milestone.id];
+                        return (
+                            <li
+                                key={milestone.id}
+                                className={
+                                    crossing
+                                        ? "text-emerald-700"
+                                        : "text-stone-400"
+                                }
+                            >
+                                {crossing ? "✓" : "○"} {milestone.name} (
+                                {milestone.energy})
+                                {crossing &&
+                                    ` · ${
+                                        crossing.date
+                                            ? formatDate(crossing.date)
+                                            : getDateForDay(crossing.day)
+                                    }`}
+                            </li>
+                        );
+                    })}
+                </ul>
             </div>
 
             {/* Practice Tracking - REMOVE Log Practice Button, Combine Skip/Next Day */}
             <div className="mb-6 border border-stone-200 rounded-lg p-4 shadow-sm">
-                <h2 className="text-lg font-semibold mb-3 text-stone-700">
+                <h2 className="text-lg font-semibold mb-1 text-stone-700">
                     End of Day (Day {currentDay})
                 </h2>
+                {currentDate && (
+                    <div className="text-sm text-stone-600 mb-3">
+                        {restToday
+                            ? "Planned rest day"
+                            : `Planned: ${plannedMinutes(
+                                  settings.schedule,
+                                  currentDate
+                              )} min`}
+                    </div>
+                )}
                 {/* Show Skip OR Next Day Button */}
                 {!hasPracticedToday ? (
                     <div className="space-y-3">
+                        {restToday && (
+                            <button
+                                onClick={() => logSkippedDay(true)}
+                                disabled={!canSkip}
+                                className={`font-bold py-3 px-4 rounded w-full ${
+                                    !canSkip
+                                        ? "bg-stone-300 text-stone-500 cursor-not-allowed"
+                                        : "bg-sky-600 hover:bg-sky-700 text-white transition duration-150 ease-in-out shadow-md"
+                                }`}
+                            >
+                                Rest Day & Advance
+                            </button>
+                        )}
                         <button
-                            onClick={logSkippedDay}
-                            // Disable skip if timer running OR if any practice already done
-                            disabled={
-                                isPracticing || accumulatedSecondsToday > 0
-                            }
+                            onClick={() => logSkippedDay()}
+                            disabled={!canSkip}
                             className={`font-bold py-3 px-4 rounded w-full ${
-                                isPracticing || accumulatedSecondsToday > 0
+                                !canSkip
                                     ? "bg-stone-300 text-stone-500 cursor-not-allowed"
                                     : "bg-orange-600 hover:bg-orange-700 text-white transition duration-150 ease-in-out shadow-md"
                             }`}
@@ -774,7 +1998,12 @@ const QigongCalculator = () => {
                                 "Cannot skip after practicing."}
                             {!isPracticing &&
                                 accumulatedSecondsToday === 0 &&
-                                "Use the timer above or skip the day."}
+                                !canAdvance &&
+                                "Today can still be practiced; it is logged once it has passed."}
+                            {canSkip &&
+                                (restToday
+                                    ? "Rest as planned, practice anyway, or skip the day."
+                                    : "Use the timer above or skip the day.")}
                         </div>
                     </div>
                 ) : (
@@ -792,9 +2021,9 @@ const QigongCalculator = () => {
                         </div>
                         <button
                             onClick={advanceToNextDay}
-                            disabled={isPracticing} // Cannot advance if timer is running for the current day
+                            disabled={isPracticing || !canAdvance} // Not while timing, nor past today
                             className={`w-full font-bold py-3 px-4 rounded ${
-                                isPracticing
+                                isPracticing || !canAdvance
                                     ? "bg-gray-400 cursor-not-allowed"
                                     : "bg-teal-600 hover:bg-teal-700 text-white"
                             }`}
@@ -803,18 +2032,99 @@ const QigongCalculator = () => {
                         </button>
                         <div className="text-sm text-stone-600 italic text-center">
                             {isPracticing && "Pause timer before advancing."}
-                            {!isPracticing && "Ready for the next day."}
+                            {!isPracticing &&
+                                (canAdvance
+                                    ? "Ready for the next day."
+                                    : "The next day starts tomorrow.")}
                         </div>
                     </div>
                 )}
             </div>
 
+            <StatsPanel log={dailyLog} today={todayDay} />
+            <AdherencePanel
+                log={dailyLog}
+                schedule={settings.schedule}
+                startDate={settings.startDate}
+            />
+
             {/* Simulation Tools */}
             <div className="mb-6 border border-stone-200 rounded-lg p-4 shadow-sm">
                 <h2 className="text-lg font-semibold mb-3 text-stone-700">
                     Practice Tracker Tools
                 </h2>
                 <div className="grid grid-cols-1 gap-3">
+                    <label className="flex items-center justify-between text-sm text-stone-700">
+                        <span>Day 1 date</span>
+                        <input
+                            type="date"
+                            value={settings.startDate ?? ""}
+                            max={todayISO()}
+                            onChange={(e) =>
+                                handleStartDateChange(e.target.value)
+                            }
+                            className="rounded-md border border-stone-300 p-1"
+                        />
+                    </label>
+                    <label className="flex items-center justify-between gap-2 text-sm text-stone-700">
+                        <span>Energy model</span>
+                        <select
+                            value={energyParams.model}
+                            onChange={(e) => handleModelChange(e.target.value)}
+                            className="rounded-md border border-stone-300 p-1"
+                        >
+                            {Object.entries(MODELS).map(([id, model]) => (
+                                <option key={id} value={id}>
+                                    {model.label}
+                                </option>
+                            ))}
+                        </select>
+                    </label>
+                    <label className="flex items-center justify-between gap-2 text-sm text-stone-700">
+                        <span>Deleting a day</span>
+                        <select
+                            value={settings.gapPolicy}
+                            onChange={(e) =>
+                                handleGapPolicyChange(e.target.value)
+                            }
+                            className="rounded-md border border-stone-300 p-1"
+                        >
+                            {GAP_POLICIES.map((policy) => (
+                                <option key={policy.id} value={policy.id}>
+                                    {policy.label}
+                                </option>
+                            ))}
+                        </select>
+                    </label>
+                    <DecayPolicyEditor
+                        decay={{ ...DEFAULT_DECAY, ...settings.decay }}
+                        currentEnergy={currentEnergy}
+                        onSave={handleSaveDecay}
+                    />
+                    <ScheduleEditor
+                        schedule={settings.schedule}
+                        onSave={handleSaveSchedule}
+                    />
+                    <RoutineEditor
+                        routines={settings.routines}
+                        onSave={handleSaveRoutines}
+                    />
+                    <FormCatalogEditor
+                        forms={settings.forms}
+                        onSave={handleSaveForms}
+                    />
+                    <MilestoneEditor
+                        milestones={settings.milestones}
+                        onSave={handleSaveMilestones}
+                    />
+                    <HistoryTransfer
+                        log={dailyLog}
+                        sessions={sessions}
+                        forms={settings.forms}
+                        startDate={settings.startDate}
+                        disabled={isPracticing}
+                        onImport={handleImport}
+                    />
                     <button
                         onClick={resetSimulation}
                         className="bg-stone-500 hover:bg-stone-600 text-white font-medium py-2 px-4 rounded transition duration-150 ease-in-out shadow-sm"
@@ -824,60 +2134,56 @@ const QigongCalculator = () => {
                 </div>
             </div>
 
+            <ProjectionPanel
+                plan={plan}
+                onPlanChange={setPlan}
+                projection={projection}
+                currentDay={currentDay}
+                targetEnergy={targetEnergy}
+                getDateForDay={getDateForDay}
+            />
+
+            <GoalPlannerPanel
+                startDay={forecastStartDay}
+                startEnergy={currentEnergy}
+                defaultTarget={targetEnergy}
+                startDate={settings.startDate}
+                params={energyParams}
+                onUsePlan={(changes) => setPlan({ ...plan, ...changes })}
+            />
+
             {/* Energy Chart */}
             {dailyLog.length > 0 && (
-                <div className="mb-6">
-                    <h2 className="text-lg font-semibold mb-3 text-stone-700">
-                        Energy Progression
-                    </h2>
-                    <div className="h-64">
-                        <ResponsiveContainer width="100%" height="100%">
-                            <LineChart
-                                data={dailyLog}
-                                margin={{
-                                    top: 5,
-                                    right: 30,
-                                    left: 20,
-                                    bottom: 5,
-                                }}
-                            >
-                                <CartesianGrid strokeDasharray="3 3" />
-                                <XAxis
-                                    dataKey="day"
-                                    label={{
-                                        value: "Day",
-                                        position: "insideBottomRight",
-                                        offset: -5,
-                                    }}
-                                />
-                                <YAxis
-                                    label={{
-                                        value: "Energy",
-                                        angle: -90,
-                                        position: "insideLeft",
-                                    }}
-                                />
-                                <Tooltip formatter={formatTooltip} />
-                                <Legend />
-                                <Line
-                                    type="monotone"
-                                    dataKey="energy"
-                                    stroke="#0d9488"
-                                    activeDot={{ r: 8 }}
-                                    dot={{ r: 3, fill: "#0d9488" }}
-                                />
-                            </LineChart>
-                        </ResponsiveContainer>
-                    </div>
-                </div>
+                <EnergyChart
+                    data={chartData}
+                    milestones={settings.milestones}
+                    targetEnergy={targetEnergy}
+                    showForecast={plan.showOnChart}
+                    forms={settings.forms}
+                    getDateForDay={getDateForDay}
+                />
+            )}
+
+            {dailyLog.length > 0 && (
+                <PracticeHeatmap
+                    log={dailyLog}
+                    startDate={settings.startDate}
+                    onSelectDay={handleSelectDay}
+                />
             )}
 
             {/* Practice Log - Modified for editing */}
             {dailyLog.length > 0 && (
                 <div>
-                    <h2 className="text-lg font-semibold mb-3 text-stone-700">
-                        Practice History
-                    </h2>
+                    <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+                        <h2 className="text-lg font-semibold text-stone-700">
+                            Practice History
+                        </h2>
+                        <InsertDayForm
+                            disabled={isPracticing}
+                            onInsert={handleInsertDay}
+                        />
+                    </div>
                     <div className="overflow-auto max-h-[300px] border border-stone-200 rounded shadow-sm">
                         <table className="min-w-full divide-y divide-stone-200">
                             <thead className="bg-stone-100 sticky top-0 z-10">
@@ -907,42 +2213,112 @@ const QigongCalculator = () => {
                             </thead>
                             <tbody className="bg-white divide-y divide-stone-200">
                                 {dailyLog.map((log, index) => (
-                                    <tr
-                                        key={log.day}
-                                        className={`transition-colors duration-150 ${
-                                            log.practice
-                                                ? "bg-emerald-50 hover:bg-emerald-100"
-                                                : "bg-orange-50 hover:bg-orange-100"
-                                        }`}
-                                        onMouseEnter={() =>
-                                            setHoveredRowDay(log.day)
-                                        }
-                                        onMouseLeave={() =>
-                                            setHoveredRowDay(null)
-                                        }
-                                    >
-                                        <td className="px-6 py-2 whitespace-nowrap text-stone-700">
-                                            <span>{log.day}</span>
-                                        </td>
-                                        <td className="px-6 py-2 whitespace-nowrap text-stone-700">
-                                            <span>
-                                                {getDateForDay(log.day)}
-                                            </span>
-                                        </td>
-                                        <td className="px-6 py-2 whitespace-nowrap">
-                                            {log.practice ? (
-                                                <span className="text-emerald-700">
-                                                    Practiced
-                                                </span>
-                                            ) : (
-                                                <span className="text-orange-700">
-                                                    Skipped
+                                    <React.Fragment key={log.day}>
+                                        <tr
+                                            id={`history-day-${log.day}`}
+                                            className={`transition-colors duration-150 ${
+                                                log.practice
+                                                    ? "bg-emerald-50 hover:bg-emerald-100"
+                                                    : "bg-orange-50 hover:bg-orange-100"
+                                            }`}
+                                            onMouseEnter={() =>
+                                                setHoveredRowDay(log.day)
+                                            }
+                                            onMouseLeave={() =>
+                                                setHoveredRowDay(null)
+                                            }
+                                        >
+                                            <td className="px-6 py-2 whitespace-nowrap text-stone-700">
+                                                <span>{log.day}</span>
+                                            </td>
+                                            <td className="px-6 py-2 whitespace-nowrap text-stone-700">
+                                                <span>
+                                                    {log.date
+                                                        ? formatDate(log.date)
+                                                        : getDateForDay(log.day)}
                                                 </span>
-                                            )}
-                                        </td>
-                                        <td className="px-6 py-2 whitespace-nowrap text-stone-700">
-                                            {log.practice ? (
-                                                editingDay === log.day ? (
+                                            </td>
+                                            <td className="px-6 py-2 whitespace-nowrap">
+                                                {log.practice ? (
+                                                    <span className="text-emerald-700">
+                                                        Practiced
+                                                        {log.formMinutes && (
+                                                            <span className="block text-xs text-stone-500">
+                                                                {describeForms(
+                                                                    settings.forms,
+                                                                    log.formMinutes
+                                                                )}
+                                                            </span>
+                                                        )}
+                                                    </span>
+                                                ) : (
+                                                    <span
+                                                        className={
+                                                            log.excused
+                                                                ? "text-stone-500"
+                                                                : log.rest
+                                                                ? "text-sky-700"
+                                                                : "text-orange-700"
+                                                        }
+                                                    >
+                                                        {log.excused
+                                                            ? "Excused"
+                                                            : log.rest
+                                                            ? "Rest day"
+                                                            : "Skipped"}
+                                                    </span>
+                                                )}
+                                                {hoveredRowDay === log.day &&
+                                                    !isPracticing && (
+                                                        <>
+                                                            <button
+                                                                onClick={() =>
+                                                                    log.practice
+                                                                        ? handleMarkInactive(
+                                                                              log.day
+                                                                          )
+                                                                        : setEditingDay(
+                                                                              log.day
+                                                                          )
+                                                                }
+                                                                className="ml-2 text-xs text-stone-500 hover:text-teal-700 underline"
+                                                            >
+                                                                {log.practice
+                                                                    ? "mark skipped"
+                                                                    : "mark practiced"}
+                                                            </button>
+                                                            <button
+                                                                onClick={() =>
+                                                                    handleMarkInactive(
+                                                                        log.day,
+                                                                        log.rest
+                                                                            ? "skipped"
+                                                                            : "rest"
+                                                                    )
+                                                                }
+                                                                className="ml-2 text-xs text-stone-500 hover:text-sky-700 underline"
+                                                            >
+                                                                {log.rest
+                                                                    ? "mark skipped"
+                                                                    : "mark rest"}
+                                                            </button>
+                                                            {log.excused && (
+                                                                <button
+                                                                    onClick={() =>
+                                                                        handleMarkInactive(
+                                                                            log.day
+                                                                        )
+                                                                    }
+                                                                    className="ml-2 text-xs text-stone-500 hover:text-orange-700 underline"
+                                                                >
+                                                                    mark skipped
+                                                                </button>
+                                                            )}
+                                                        </>
+                                                    )}
+                                            </td>
+                                            <td className="px-6 py-2 whitespace-nowrap text-stone-700">
+                                                {editingDay === log.day ? (
                                                     <input
                                                         type="number"
                                                         defaultValue={
@@ -975,80 +2351,185 @@ const QigongCalculator = () => {
                                                             }
                                                         }}
                                                         className="w-16 text-center rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 p-1"
+                                                        title="Minutes practiced (0 marks the day as skipped)"
                                                         autoFocus
                                                     />
-                                                ) : (
+                                                ) : log.practice ? (
                                                     <span
                                                         onClick={() =>
-                                                            setEditingDay(
+                                                            hasSessions(
                                                                 log.day
                                                             )
+                                                                ? setExpandedDay(
+                                                                      expandedDay ===
+                                                                          log.day
+                                                                          ? null
+                                                                          : log.day
+                                                                  )
+                                                                : setEditingDay(
+                                                                      log.day
+                                                                  )
                                                         }
                                                         className="cursor-pointer hover:text-teal-600 text-stone-700"
+                                                        title={
+                                                            hasSessions(
+                                                                log.day
+                                                            )
+                                                                ? "Show sessions"
+                                                                : "Edit minutes"
+                                                        }
                                                     >
                                                         {log.minutes}
+                                                        {hasSessions(
+                                                            log.day
+                                                        ) && (
+                                                            <span className="text-xs text-stone-500 ml-1">
+                                                                (
+                                                                {
+                                                                    sessionsForDay(
+                                                                        sessions,
+                                                                        log.day
+                                                                    )
+                                                                        .length
+                                                                }{" "}
+                                                                {expandedDay ===
+                                                                log.day
+                                                                    ? "▴"
+                                                                    : "▾"}
+                                                                )
+                                                            </span>
+                                                        )}
                                                     </span>
-                                                )
-                                            ) : (
-                                                <span className="text-gray-500">
-                                                    0
-                                                </span>
-                                            )}
-                                        </td>
-                                        <td className="px-6 py-2 whitespace-nowrap">
-                                            {log.practice ? (
-                                                <span
-                                                    className="text-teal-600"
-                                                    title={`Actual gain: +${log.gain?.toFixed(
-                                                        2
-                                                    )} energy`}
+                                                ) : (
+                                                    <span
+                                                        onClick={() =>
+                                                            setEditingDay(log.day)
+                                                        }
+                                                        className="cursor-pointer hover:text-teal-600 text-gray-500"
+                                                        title="Add minutes to mark as practiced"
+                                                    >
+                                                        0
+                                                    </span>
+                                                )}
+                                            </td>
+                                            <td className="px-6 py-2 whitespace-nowrap">
+                                                {log.practice ? (
+                                                    <span
+                                                        className="text-teal-600"
+                                                        title={`Actual gain: +${log.gain?.toFixed(
+                                                            2
+                                                        )} energy`}
+                                                    >
+                                                        {log.growthFactor
+                                                            ? `${log.growthFactor.toFixed(
+                                                                  4
+                                                              )}x`
+                                                            : "N/A"}
+                                                    </span>
+                                                ) : (
+                                                    <span
+                                                        className="text-stone-500"
+                                                        title={
+                                                            log.excused
+                                                                ? "Excused: no energy lost"
+                                                                : `Lost: ${log.loss?.toFixed(
+                                                                      2
+                                                                  )} energy (${lossPercent(
+                                                                      log
+                                                                  )}%)`
+                                                        }
+                                                    >
+                                                        N/A
+                                                    </span>
+                                                )}
+                                            </td>
+                                            <td className="px-6 py-2 whitespace-nowrap font-medium text-stone-800">
+                                                {log.energy}
+                                            </td>
+                                            {/* Cell for the history and delete buttons - centered, matched padding */}
+                                            <td className="px-6 py-2 whitespace-nowrap text-center align-middle">
+                                                <button
+                                                    onClick={() =>
+                                                        setHistoryDay(
+                                                            historyDay ===
+                                                                log.day
+                                                                ? null
+                                                                : log.day
+                                                        )
+                                                    }
+                                                    className={`p-1 rounded text-stone-500 hover:text-teal-700 transition-opacity duration-150 ease-in-out ${
+                                                        hoveredRowDay ===
+                                                            log.day ||
+                                                        historyDay === log.day
+                                                            ? "opacity-75 hover:opacity-100"
+                                                            : "opacity-0"
+                                                    }`}
+                                                    title={`History of changes to Day ${log.day}`}
                                                 >
-                                                    {log.growthFactor
-                                                        ? `${log.growthFactor.toFixed(
-                                                              4
-                                                          )}x`
-                                                        : "N/A"}
-                                                </span>
-                                            ) : (
-                                                <span
-                                                    className="text-stone-500"
-                                                    title={`Lost: ${log.loss?.toFixed(
-                                                        2
-                                                    )} energy (${(
-                                                        dailyEnergyLoss * 100
-                                                    ).toFixed(0)}%)`}
+                                                    🕘
+                                                </button>
+                                                <button
+                                                    onClick={() =>
+                                                        handleDeleteDay(
+                                                            log.day,
+                                                            index
+                                                        )
+                                                    }
+                                                    className={`p-1 rounded text-red-500 hover:text-red-700 transition-opacity duration-150 ease-in-out ${
+                                                        hoveredRowDay === log.day
+                                                            ? "opacity-75 hover:opacity-100"
+                                                            : "opacity-0 pointer-events-none"
+                                                    }`}
+                                                    title={`Delete Day ${log.day}`}
+                                                    // Disable button interaction if not visible to be safe
+                                                    disabled={
+                                                        hoveredRowDay !== log.day
+                                                    }
                                                 >
-                                                    N/A
-                                                </span>
-                                            )}
-                                        </td>
-                                        <td className="px-6 py-2 whitespace-nowrap font-medium text-stone-800">
-                                            {log.energy}
-                                        </td>
-                                        {/* Cell for the delete button - centered, matched padding */}
-                                        <td className="px-6 py-2 whitespace-nowrap text-center align-middle">
-                                            <button
-                                                onClick={() =>
-                                                    handleDeleteDay(
-                                                        log.day,
-                                                        index
-                                                    )
-                                                }
-                                                className={`p-1 rounded text-red-500 hover:text-red-700 transition-opacity duration-150 ease-in-out ${
-                                                    hoveredRowDay === log.day
-                                                        ? "opacity-75 hover:opacity-100"
-                                                        : "opacity-0 pointer-events-none"
-                                                }`}
-                                                title={`Delete Day ${log.day}`}
-                                                // Disable button interaction if not visible to be safe
-                                                disabled={
-                                                    hoveredRowDay !== log.day
-                                                }
-                                            >
-                                                🗑️
-                                            </button>
-                                        </td>
-                                    </tr>
+                                                    🗑️
+                                                </button>
+                                            </td>
+                                        </tr>
+                                        {expandedDay === log.day && (
+                                            <tr>
+                                                <td
+                                                    colSpan={7}
+                                                    className="px-6 py-2 bg-stone-50"
+                                                >
+                                                    <SessionList
+                                                        sessions={sessionsForDay(
+                                                            sessions,
+                                                            log.day
+                                                        )}
+                                                        forms={settings.forms}
+                                                        onUpdate={
+                                                            handleUpdateSession
+                                                        }
+                                                        onDelete={
+                                                            handleDeleteSession
+                                                        }
+                                                    />
+                                                </td>
+                                            </tr>
+                                        )}
+                                        {historyDay === log.day && (
+                                            <tr>
+                                                <td
+                                                    colSpan={7}
+                                                    className="px-6 py-2 bg-stone-50"
+                                                >
+                                                    <DayHistory
+                                                        storage={storage}
+                                                        day={log.day}
+                                                        current={log}
+                                                        onRevert={
+                                                            handleRevertDay
+                                                        }
+                                                    />
+                                                </td>
+                                            </tr>
+                                        )}
+                                    </React.Fragment>
                                 ))}
                             </tbody>
                         </table>
@@ -0,0 +1,67 @@
+// Persistence for a running practice timer, so a session survives page
+// reloads and closed tabs. Saved to localStorage, and mirrored to the backend
+// when the storage adapter supports it so another device can pick it up.
+// A timer is { day, startTime, form, routineId, sleptSeconds } with
+// startTime in epoch milliseconds, routineId set for a guided routine (see
+// routines.js) and sleptSeconds the time the device seemed to be asleep.
+// A session that ended after sleep is kept here, with its endTime and
+// targetSeconds, until the user confirms how much of it to record.
+
+const KEY = "qigong-active-timer";
+
+// Sessions longer than this were most likely left running by accident
+export const MAX_PLAUSIBLE_SECONDS = 3 * 60 * 60;
+
+const keyFor = (userId) => `${KEY}:${userId ?? "local"}`;
+
+export const loadActiveTimer = async (storage, userId) => {
+    const raw = window.localStorage.getItem(keyFor(userId));
+    if (raw) return JSON.parse(raw);
+    if (!storage.loadActiveTimer) return null;
+    try {
+        return await storage.loadActiveTimer();
+    } catch (error) {
+        console.warn("Could not load active timer:", error);
+        return null;
+    }
+};
+
+// Pass null to clear the saved timer
+export const saveActiveTimer = (storage, userId, timer) => {
+    if (timer) {
+        window.localStorage.setItem(keyFor(userId), JSON.stringify(timer));
+    } else {
+        window.localStorage.removeItem(keyFor(userId));
+    }
+    storage
+        .saveActiveTimer?.(timer)
+        .catch((error) => console.warn("Could not save active timer:", error));
+};
+
+// Ticks further apart than this mean the device slept or the browser
+// suspended the page; hidden tabs still tick at least once a minute
+export const SLEEP_GAP_SECONDS = 120;
+
+// Seconds between two ticks that count as sleep, 0 for an ordinary gap
+export const sleepGapSeconds = (from, to) => {
+    const gap = Math.floor((to - from) / 1000);
+    return gap > SLEEP_GAP_SECONDS ? gap : 0;
+};
+
+// Note that the running timer was still ticking at `at`, so the time a
+// discarded page spent closed can be measured after the reload. Local only,
+// since it changes every second.
+export const touchActiveTimer = (userId, at = Date.now()) => {
+    const raw = window.localStorage.getItem(keyFor(userId));
+    if (!raw) return;
+    window.localStorage.setItem(
+        keyFor(userId),
+        JSON.stringify({ ...JSON.parse(raw), lastSeenAt: at })
+    );
+};
+
+export const elapsedSeconds = (timer, now = Date.now()) =>
+    Math.floor((now - timer.startTime) / 1000);
+
+export const isImplausible = (timer, now = Date.now()) =>
+    elapsedSeconds(timer, now) > MAX_PLAUSIBLE_SECONDS;
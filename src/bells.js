@@ -0,0 +1,46 @@
+// Bell tones for guided sessions, synthesised with the Web Audio API so no
+// sound files ship with the app. Browsers only allow audio after a user
+// gesture, so unlockBells() is called from the Start button; a session
+// restored after a reload stays silent until the next click.
+
+let context = null;
+
+// Partials of a small singing bowl, relative to the fundamental
+const PARTIALS = [
+    { ratio: 1, gain: 0.6, decay: 4 },
+    { ratio: 2.76, gain: 0.25, decay: 2.5 },
+    { ratio: 5.4, gain: 0.1, decay: 1.2 },
+];
+
+const FUNDAMENTAL_HZ = 528;
+const STRIKE_GAP_SECONDS = 1.2;
+
+export const unlockBells = () => {
+    const AudioContext = window.AudioContext ?? window.webkitAudioContext;
+    if (!AudioContext) return;
+    if (!context) context = new AudioContext();
+    if (context.state === "suspended") context.resume();
+};
+
+const strike = (at) => {
+    PARTIALS.forEach(({ ratio, gain, decay }) => {
+        const oscillator = context.createOscillator();
+        const envelope = context.createGain();
+        oscillator.type = "sine";
+        oscillator.frequency.value = FUNDAMENTAL_HZ * ratio;
+        envelope.gain.setValueAtTime(0.0001, at);
+        envelope.gain.exponentialRampToValueAtTime(gain, at + 0.01);
+        envelope.gain.exponentialRampToValueAtTime(0.0001, at + decay);
+        oscillator.connect(envelope).connect(context.destination);
+        oscillator.start(at);
+        oscillator.stop(at + decay);
+    });
+};
+
+// Ring `strikes` times in a row: one between segments, three at the end
+export const ringBell = (strikes = 1) => {
+    if (!context || context.state !== "running") return;
+    for (let i = 0; i < strikes; i++) {
+        strike(context.currentTime + i * STRIKE_GAP_SECONDS);
+    }
+};
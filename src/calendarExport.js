@@ -0,0 +1,141 @@
+// iCalendar (RFC 5545) export of the practice history. Timed sessions become
+// events with their real start and end; practice days logged without
+// sessions, and optionally skipped days, become all-day events.
+import { addDays, dateForDay } from "./dates";
+import { formName } from "./forms";
+
+const PRODUCT_ID = "-//Qigong Energy Tracker//Practice History//EN";
+const UID_DOMAIN = "qigong-tracker";
+
+const escapeText = (text) =>
+    String(text)
+        .replace(/\\/g, "\\\\")
+        .replace(/;/g, "\\;")
+        .replace(/,/g, "\\,")
+        .replace(/\r?\n/g, "\\n");
+
+// Lines longer than 75 octets continue on the next line after a space
+const foldLine = (line) => {
+    const chunks = [];
+    let rest = line;
+    let limit = 75;
+    while (new TextEncoder().encode(rest).length > limit) {
+        let end = limit;
+        while (new TextEncoder().encode(rest.slice(0, end)).length > limit) {
+            end--;
+        }
+        chunks.push(rest.slice(0, end));
+        rest = rest.slice(end);
+        limit = 74; // Continuation lines start with a space
+    }
+    chunks.push(rest);
+    return chunks.join("\r\n ");
+};
+
+// 2025-03-30T10:00:00.000Z → 20250330T100000Z
+const toUTCStamp = (iso) =>
+    new Date(iso).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+// 2025-03-30 → 20250330
+const toDateValue = (iso) => iso.replace(/-/g, "");
+
+const event = ({ uid, start, end, allDay, summary, description }) => [
+    "BEGIN:VEVENT",
+    `UID:${uid}@${UID_DOMAIN}`,
+    `DTSTAMP:${toUTCStamp(new Date().toISOString())}`,
+    allDay
+        ? `DTSTART;VALUE=DATE:${toDateValue(start)}`
+        : `DTSTART:${toUTCStamp(start)}`,
+    allDay
+        ? `DTEND;VALUE=DATE:${toDateValue(end)}`
+        : `DTEND:${toUTCStamp(end)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    "TRANSP:TRANSPARENT",
+    "END:VEVENT",
+];
+
+const gainLine = (entry) =>
+    `Energy ${entry.energy.toFixed(2)} (+${(entry.gain ?? 0).toFixed(2)})`;
+
+const lossLine = (entry) =>
+    `Energy ${entry.energy.toFixed(2)} (-${(entry.loss ?? 0).toFixed(2)})`;
+
+const sessionEvent = (session, entry, forms) => {
+    const minutes = Math.round(session.durationSeconds / 60);
+    const form = session.form ? formName(forms, session.form) : null;
+    return event({
+        uid: `session-${session.id}`,
+        start: session.startedAt,
+        end: session.endedAt,
+        allDay: false,
+        summary: `Qigong practice: ${minutes} min${form ? ` (${form})` : ""}`,
+        description: [
+            `Day ${entry.day} · ${minutes} of ${entry.minutes} min that day`,
+            form && `Form: ${form}`,
+            gainLine(entry),
+            session.notes,
+        ]
+            .filter(Boolean)
+            .join("\n"),
+    });
+};
+
+const dayEvent = (entry, date, forms) => {
+    const formList = entry.formMinutes
+        ? Object.entries(entry.formMinutes)
+              .map(([id, minutes]) => `${formName(forms, id)} ${minutes} min`)
+              .join(", ")
+        : null;
+    return event({
+        uid: `day-${entry.day}-${date}`,
+        start: date,
+        end: addDays(date, 1),
+        allDay: true,
+        summary: entry.practice
+            ? `Qigong practice: ${entry.minutes} min`
+            : "Qigong: skipped",
+        description: [
+            `Day ${entry.day}`,
+            formList && `Forms: ${formList}`,
+            entry.practice ? gainLine(entry) : lossLine(entry),
+        ]
+            .filter(Boolean)
+            .join("\n"),
+    });
+};
+
+// Build the .ics text. Entries without a stored date are placed with the
+// start date, the same mapping the history table uses.
+export const historyToICS = (
+    log,
+    sessions,
+    { forms = [], startDate, includeSkipped = false } = {}
+) => {
+    const lines = log.flatMap((entry) => {
+        const date = entry.date ?? dateForDay(startDate, entry.day);
+        if (entry.excused || entry.rest) return [];
+        if (!entry.practice) {
+            return includeSkipped ? dayEvent(entry, date, forms) : [];
+        }
+        const daySessions = sessions.filter((s) => s.day === entry.day);
+        if (daySessions.length === 0) return dayEvent(entry, date, forms);
+        return daySessions.flatMap((session) =>
+            sessionEvent(session, entry, forms)
+        );
+    });
+
+    return (
+        [
+            "BEGIN:VCALENDAR",
+            "VERSION:2.0",
+            `PRODID:${PRODUCT_ID}`,
+            "CALSCALE:GREGORIAN",
+            "X-WR-CALNAME:Qigong Practice",
+            ...lines,
+            "END:VCALENDAR",
+        ]
+            .map(foldLine)
+            .join("\r\n") + "\r\n"
+    );
+};
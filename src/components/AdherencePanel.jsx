@@ -0,0 +1,72 @@
+import React, { useState } from "react";
+import { formatDate } from "../dates";
+import { weeklyAdherence } from "../schedule";
+
+const WEEKS_SHOWN = 8;
+
+const barColor = (percent) => {
+    if (percent === null) return "bg-stone-300";
+    if (percent >= 100) return "bg-emerald-500";
+    if (percent >= 70) return "bg-teal-400";
+    return "bg-orange-400";
+};
+
+// Each week's practiced minutes against the weekly schedule, newest first
+const AdherencePanel = ({ log, schedule, startDate }) => {
+    const [showAll, setShowAll] = useState(false);
+    const weeks = weeklyAdherence(log, schedule, startDate);
+    if (weeks.length === 0) return null;
+    const shown = showAll ? weeks : weeks.slice(0, WEEKS_SHOWN);
+
+    return (
+        <div className="mb-6 border border-stone-200 rounded-lg p-4 shadow-sm">
+            <h2 className="text-lg font-semibold mb-3 text-stone-700">
+                Weekly Plan Adherence
+            </h2>
+            <ul className="space-y-2 text-sm">
+                {shown.map((week) => (
+                    <li key={week.weekStart}>
+                        <div className="flex justify-between text-xs text-stone-600 mb-1">
+                            <span>
+                                Week of {formatDate(week.weekStart)}
+                                {week.days < 7 &&
+                                    ` (${week.days} days tracked)`}
+                            </span>
+                            <span>
+                                {week.actualMinutes} / {week.plannedMinutes} min
+                                {week.percent !== null && ` · ${week.percent}%`}
+                            </span>
+                        </div>
+                        <div className="bg-stone-200 rounded-full h-2 overflow-hidden">
+                            <div
+                                className={`h-full ${barColor(week.percent)}`}
+                                style={{
+                                    width: `${Math.min(
+                                        100,
+                                        week.percent ?? 0
+                                    )}%`,
+                                }}
+                            ></div>
+                        </div>
+                        <div className="text-xs text-stone-500 mt-1">
+                            {week.restDays} of {week.plannedRestDays} planned
+                            rest days taken · {week.skippedDays} skipped
+                        </div>
+                    </li>
+                ))}
+            </ul>
+            {weeks.length > WEEKS_SHOWN && (
+                <button
+                    onClick={() => setShowAll(!showAll)}
+                    className="mt-2 text-sm text-teal-700 hover:text-teal-900"
+                >
+                    {showAll
+                        ? "Show recent weeks"
+                        : `Show all ${weeks.length} weeks`}
+                </button>
+            )}
+        </div>
+    );
+};
+
+export default AdherencePanel;
@@ -0,0 +1,151 @@
+import React, { useState, useEffect } from "react";
+import { supabase } from "../supabaseClient";
+import { usesSupabase } from "../storage";
+
+// Requires a Supabase session before rendering the tracker, then passes the
+// signed-in user to `children`. In local-storage mode it renders straight
+// through with a null user.
+const AuthGate = ({ children }) => {
+    const [session, setSession] = useState(null);
+    const [isLoading, setIsLoading] = useState(usesSupabase);
+
+    useEffect(() => {
+        if (!usesSupabase) return undefined;
+
+        supabase.auth.getSession().then(({ data }) => {
+            setSession(data.session);
+            setIsLoading(false);
+        });
+        const { data } = supabase.auth.onAuthStateChange((_event, next) =>
+            setSession(next)
+        );
+        return () => data.subscription.unsubscribe();
+    }, []);
+
+    if (!usesSupabase) return children(null);
+
+    if (isLoading) {
+        return <div className="p-4">Checking sign-in...</div>;
+    }
+
+    if (!session) return <SignInForm />;
+
+    return (
+        <>
+            <div className="max-w-4xl mx-auto mt-4 flex justify-end items-center gap-3 text-sm text-stone-600">
+                <span>Signed in as {session.user.email}</span>
+                <button
+                    onClick={() => supabase.auth.signOut()}
+                    className="text-teal-700 hover:text-teal-900 underline"
+                >
+                    Sign out
+                </button>
+            </div>
+            {children(session.user)}
+        </>
+    );
+};
+
+const SignInForm = () => {
+    const [email, setEmail] = useState("");
+    const [password, setPassword] = useState("");
+    const [message, setMessage] = useState(null);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    const run = async (action, successMessage) => {
+        setIsSubmitting(true);
+        setMessage(null);
+        const { error } = await action();
+        setIsSubmitting(false);
+        if (error) {
+            console.error("Authentication error:", error);
+            setMessage({ type: "error", text: error.message });
+        } else if (successMessage) {
+            setMessage({ type: "info", text: successMessage });
+        }
+    };
+
+    const signIn = (e) => {
+        e.preventDefault();
+        run(() => supabase.auth.signInWithPassword({ email, password }));
+    };
+
+    const signUp = () =>
+        run(
+            () => supabase.auth.signUp({ email, password }),
+            "Check your email to confirm your account."
+        );
+
+    const sendMagicLink = () =>
+        run(
+            () =>
+                supabase.auth.signInWithOtp({
+                    email,
+                    options: { emailRedirectTo: window.location.origin },
+                }),
+            "Check your email for a sign-in link."
+        );
+
+    return (
+        <div className="p-6 max-w-sm mx-auto bg-white rounded-lg shadow-lg my-8">
+            <h1 className="text-2xl font-bold text-center mb-4 text-emerald-800">
+                Qigong Energy Tracker
+            </h1>
+            <form onSubmit={signIn} className="space-y-3">
+                <input
+                    type="email"
+                    required
+                    placeholder="Email"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    className="w-full rounded-md border border-stone-300 p-2"
+                />
+                <input
+                    type="password"
+                    placeholder="Password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    className="w-full rounded-md border border-stone-300 p-2"
+                />
+                <button
+                    type="submit"
+                    disabled={isSubmitting || !password}
+                    className="w-full bg-emerald-600 hover:bg-emerald-700 disabled:bg-stone-300 text-white font-bold py-2 px-4 rounded"
+                >
+                    Sign In
+                </button>
+                <div className="flex gap-2">
+                    <button
+                        type="button"
+                        onClick={signUp}
+                        disabled={isSubmitting || !email || !password}
+                        className="flex-1 bg-stone-500 hover:bg-stone-600 disabled:bg-stone-300 text-white font-medium py-2 px-3 rounded text-sm"
+                    >
+                        Create Account
+                    </button>
+                    <button
+                        type="button"
+                        onClick={sendMagicLink}
+                        disabled={isSubmitting || !email}
+                        className="flex-1 bg-teal-600 hover:bg-teal-700 disabled:bg-stone-300 text-white font-medium py-2 px-3 rounded text-sm"
+                    >
+                        Email Magic Link
+                    </button>
+                </div>
+            </form>
+            {message && (
+                <div
+                    className={`mt-3 text-sm text-center ${
+                        message.type === "error"
+                            ? "text-red-600"
+                            : "text-emerald-700"
+                    }`}
+                >
+                    {message.text}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default AuthGate;
@@ -0,0 +1,102 @@
+import React, { useState, useEffect } from "react";
+
+const describeVersion = (entry) => {
+    if (!entry) return "deleted";
+    const activity = entry.practice
+        ? `${entry.minutes} min`
+        : entry.excused
+        ? "excused"
+        : entry.rest
+        ? "rest"
+        : "skipped";
+    return `${activity}, energy ${entry.energy}`;
+};
+
+const formatWhen = (iso) =>
+    new Date(iso).toLocaleString("en-US", {
+        month: "short",
+        day: "numeric",
+        year: "numeric",
+        hour: "numeric",
+        minute: "2-digit",
+    });
+
+// Audit trail of one day (see storage loadDayHistory), newest first. Any
+// earlier version that still existed can be restored with onRevert.
+const DayHistory = ({ storage, day, current, onRevert }) => {
+    const [entries, setEntries] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!storage.loadDayHistory) {
+            setEntries([]);
+            return;
+        }
+        storage
+            .loadDayHistory(day)
+            .then(setEntries)
+            .catch((loadError) => {
+                console.error("Error loading change history:", loadError);
+                setError("Change history is unavailable while offline.");
+            });
+    }, [storage, day]);
+
+    if (error) return <div className="text-sm text-red-700">{error}</div>;
+    if (!entries) {
+        return (
+            <div className="text-sm text-stone-500">
+                Loading change history...
+            </div>
+        );
+    }
+    if (entries.length === 0) {
+        return (
+            <div className="text-sm text-stone-500">
+                No recorded changes for Day {day}.
+            </div>
+        );
+    }
+
+    return (
+        <ul className="space-y-1 text-sm max-h-60 overflow-y-auto">
+            {entries.map((entry) => {
+                const isCurrent =
+                    entry.after &&
+                    entry.after.practice === current.practice &&
+                    Boolean(entry.after.excused) === Boolean(current.excused) &&
+                    Boolean(entry.after.rest) === Boolean(current.rest) &&
+                    entry.after.minutes === current.minutes &&
+                    entry.after.energy === current.energy;
+                return (
+                    <li
+                        key={entry.id}
+                        className="flex items-center justify-between gap-2 border-b border-stone-200 py-1"
+                    >
+                        <div>
+                            <div className="text-stone-700">
+                                {describeVersion(entry.before)} →{" "}
+                                <span className="font-medium">
+                                    {describeVersion(entry.after)}
+                                </span>
+                            </div>
+                            <div className="text-xs text-stone-500">
+                                {formatWhen(entry.changedAt)} · {entry.action}
+                                {entry.reason && ` · ${entry.reason}`}
+                            </div>
+                        </div>
+                        {entry.after && !isCurrent && (
+                            <button
+                                onClick={() => onRevert(entry.after)}
+                                className="text-teal-700 hover:text-teal-900 whitespace-nowrap"
+                            >
+                                Restore this version
+                            </button>
+                        )}
+                    </li>
+                );
+            })}
+        </ul>
+    );
+};
+
+export default DayHistory;
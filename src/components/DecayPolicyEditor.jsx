@@ -0,0 +1,168 @@
+import React, { useState } from "react";
+import { applyDay, DECAY_POLICIES } from "../energyModel";
+
+// Tuning each policy reads. Percentages are stored as fractions.
+const FIELDS = {
+    dailyEnergyLoss: { label: "Daily loss", unit: "%", percent: true },
+    escalationStep: { label: "Extra loss per skip", unit: "%", percent: true },
+    maxDailyLoss: { label: "Most lost in a day", unit: "%", percent: true },
+    graceDays: { label: "Free skips in a row", unit: "days" },
+    floorEnergy: { label: "Floor", unit: "energy" },
+    halfLifeDays: { label: "Half-life", unit: "days" },
+};
+
+const POLICY_FIELDS = {
+    flat: ["dailyEnergyLoss"],
+    escalating: ["dailyEnergyLoss", "escalationStep", "maxDailyLoss"],
+    grace: ["graceDays", "dailyEnergyLoss"],
+    floor: ["dailyEnergyLoss", "floorEnergy"],
+    halfLife: ["halfLifeDays"],
+};
+
+const PREVIEW_SKIPS = [1, 3, 7];
+
+// Energy after each of `days` skipped days in a row from `energy`
+const skipPreview = (energy, decay, days) => {
+    const { policy, ...tuning } = decay;
+    const params = { ...tuning, decayPolicy: policy };
+    const energies = [];
+    for (let run = 0; run < days; run++) {
+        energy = applyDay(
+            energy,
+            { practice: false, minutes: 0 },
+            params,
+            run
+        ).energy;
+        energies.push(energy);
+    }
+    return energies;
+};
+
+// Editor for how skipped days lose energy (settings.decay). Saving replays
+// the whole log under the new policy.
+const DecayPolicyEditor = ({ decay, currentEnergy, onSave }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const [draft, setDraft] = useState(decay);
+
+    const open = () => {
+        setDraft(decay);
+        setIsOpen(true);
+    };
+
+    const fields = POLICY_FIELDS[draft.policy];
+    const isValid = fields.every((key) => {
+        const value = draft[key];
+        if (isNaN(value) || value < 0) return false;
+        if (FIELDS[key].percent) return value <= 1;
+        return key !== "halfLifeDays" || value > 0;
+    });
+
+    const save = () => {
+        onSave(draft);
+        setIsOpen(false);
+    };
+
+    if (!isOpen) {
+        return (
+            <button
+                onClick={open}
+                className="bg-teal-600 hover:bg-teal-700 text-white font-medium py-2 px-4 rounded transition duration-150 ease-in-out shadow-sm"
+            >
+                Skipped-Day Decay: {DECAY_POLICIES[decay.policy].label}
+            </button>
+        );
+    }
+
+    const preview = isValid
+        ? skipPreview(
+              currentEnergy,
+              draft,
+              PREVIEW_SKIPS[PREVIEW_SKIPS.length - 1]
+          )
+        : null;
+
+    return (
+        <div className="border border-stone-200 rounded p-3 space-y-2 text-sm">
+            <select
+                value={draft.policy}
+                onChange={(e) => setDraft({ ...draft, policy: e.target.value })}
+                className="w-full rounded-md border border-stone-300 p-1"
+            >
+                {Object.entries(DECAY_POLICIES).map(([id, policy]) => (
+                    <option key={id} value={id}>
+                        {policy.label}
+                    </option>
+                ))}
+            </select>
+            <div className="text-stone-600">
+                {DECAY_POLICIES[draft.policy].description}
+            </div>
+            {fields.map((key) => {
+                const field = FIELDS[key];
+                const scale = field.percent ? 100 : 1;
+                return (
+                    <label
+                        key={key}
+                        className="flex items-center justify-between gap-2 text-stone-700"
+                    >
+                        <span>{field.label}</span>
+                        <span className="flex items-center gap-1">
+                            <input
+                                type="number"
+                                min="0"
+                                step={key === "graceDays" ? "1" : "any"}
+                                value={
+                                    isNaN(draft[key])
+                                        ? ""
+                                        : parseFloat(
+                                              (draft[key] * scale).toFixed(4)
+                                          )
+                                }
+                                onChange={(e) =>
+                                    setDraft({
+                                        ...draft,
+                                        [key]:
+                                            parseFloat(e.target.value) / scale,
+                                    })
+                                }
+                                className="w-20 rounded-md border border-stone-300 p-1"
+                            />
+                            <span className="w-12 text-stone-500">
+                                {field.unit}
+                            </span>
+                        </span>
+                    </label>
+                );
+            })}
+            {preview && (
+                <div className="text-stone-600">
+                    From {currentEnergy.toFixed(2)}:{" "}
+                    {PREVIEW_SKIPS.map(
+                        (days) =>
+                            `${days} skip${days === 1 ? "" : "s"} → ${preview[
+                                days - 1
+                            ].toFixed(2)}`
+                    ).join(", ")}
+                </div>
+            )}
+            <div className="flex gap-2">
+                <div className="flex-1" />
+                <button
+                    onClick={() => setIsOpen(false)}
+                    className="text-stone-500 hover:text-stone-700"
+                >
+                    Cancel
+                </button>
+                <button
+                    onClick={save}
+                    disabled={!isValid}
+                    className="bg-teal-600 hover:bg-teal-700 disabled:bg-stone-300 text-white font-medium py-1 px-3 rounded"
+                >
+                    Save
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default DecayPolicyEditor;
@@ -0,0 +1,270 @@
+import React, { useState } from "react";
+import {
+    ComposedChart,
+    Line,
+    Bar,
+    Scatter,
+    XAxis,
+    YAxis,
+    CartesianGrid,
+    Tooltip,
+    Legend,
+    ResponsiveContainer,
+    ReferenceLine,
+    Brush,
+} from "recharts";
+import { formatDate } from "../dates";
+import { describeForms } from "../forms";
+
+// Full log entry for the hovered day, or the projected value for a
+// forecast point
+const EntryTooltip = ({ active, payload, forms, getDateForDay }) => {
+    if (!active || !payload?.length) return null;
+    const point = payload[0].payload;
+
+    if (point.energy === undefined) {
+        return (
+            <div className="bg-white border border-stone-200 rounded shadow-sm p-2 text-xs text-stone-700">
+                <div className="font-semibold">Day {point.day} (forecast)</div>
+                <div>Projected energy: {point.projectedEnergy.toFixed(1)}</div>
+            </div>
+        );
+    }
+
+    const formList = describeForms(forms, point.formMinutes);
+    return (
+        <div className="bg-white border border-stone-200 rounded shadow-sm p-2 text-xs text-stone-700 space-y-0.5">
+            <div className="font-semibold">
+                Day {point.day} ·{" "}
+                {point.date
+                    ? formatDate(point.date)
+                    : getDateForDay(point.day)}
+            </div>
+            {point.practice ? (
+                <>
+                    <div className="text-emerald-700">
+                        Practiced {point.minutes} min
+                        {formList && ` (${formList})`}
+                    </div>
+                    <div>Multiplier: ×{point.growthFactor?.toFixed(4)}</div>
+                    <div>Gain: +{(point.gain ?? 0).toFixed(2)}</div>
+                </>
+            ) : point.excused ? (
+                <div className="text-stone-500">Excused</div>
+            ) : point.rest ? (
+                <>
+                    <div className="text-sky-700">Rest day</div>
+                    {point.loss > 0 && (
+                        <div>Loss: -{point.loss.toFixed(2)}</div>
+                    )}
+                </>
+            ) : (
+                <>
+                    <div className="text-orange-700">Skipped</div>
+                    <div>Loss: -{(point.loss ?? 0).toFixed(2)}</div>
+                </>
+            )}
+            <div className="font-medium">
+                Energy: {point.energy.toFixed(2)}
+            </div>
+        </div>
+    );
+};
+
+// Energy Progression chart. The detailed view adds daily minutes as bars and
+// marks each day's gain or loss; the brush below selects a day range. Days
+// sit at their day number, so gaps in the log show as gaps on the axis.
+const EnergyChart = ({
+    data,
+    milestones,
+    targetEnergy,
+    showForecast,
+    forms,
+    getDateForDay,
+}) => {
+    const [showDetails, setShowDetails] = useState(false);
+    const [logScale, setLogScale] = useState(false);
+
+    const chartData = data.map((point) =>
+        point.energy === undefined
+            ? point
+            : {
+                  ...point,
+                  gainMarker: point.practice ? point.energy : null,
+                  lossMarker:
+                      point.practice || point.excused || point.rest
+                          ? null
+                          : point.energy,
+              }
+    );
+
+    return (
+        <div className="mb-6">
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+                <h2 className="text-lg font-semibold text-stone-700">
+                    Energy Progression
+                </h2>
+                <div className="flex gap-4 text-sm text-stone-700">
+                    <label className="flex items-center gap-1">
+                        <input
+                            type="checkbox"
+                            checked={showDetails}
+                            onChange={(e) => setShowDetails(e.target.checked)}
+                        />
+                        Minutes and gains
+                    </label>
+                    <label className="flex items-center gap-1">
+                        <input
+                            type="checkbox"
+                            checked={logScale}
+                            onChange={(e) => setLogScale(e.target.checked)}
+                        />
+                        Log scale
+                    </label>
+                </div>
+            </div>
+            <div className="h-80">
+                <ResponsiveContainer width="100%" height="100%">
+                    <ComposedChart
+                        data={chartData}
+                        margin={{
+                            top: 5,
+                            right: showDetails ? 0 : 30,
+                            left: 20,
+                            bottom: 5,
+                        }}
+                    >
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis
+                            dataKey="day"
+                            type="number"
+                            domain={["dataMin", "dataMax"]}
+                            allowDecimals={false}
+                            label={{
+                                value: "Day",
+                                position: "insideBottomRight",
+                                offset: -5,
+                            }}
+                        />
+                        <YAxis
+                            yAxisId="energy"
+                            scale={logScale ? "log" : "auto"}
+                            domain={logScale ? ["auto", "auto"] : [0, "auto"]}
+                            allowDataOverflow={logScale}
+                            label={{
+                                value: "Energy",
+                                angle: -90,
+                                position: "insideLeft",
+                            }}
+                        />
+                        {showDetails && (
+                            <YAxis
+                                yAxisId="minutes"
+                                orientation="right"
+                                label={{
+                                    value: "Minutes",
+                                    angle: 90,
+                                    position: "insideRight",
+                                }}
+                            />
+                        )}
+                        <Tooltip
+                            content={
+                                <EntryTooltip
+                                    forms={forms}
+                                    getDateForDay={getDateForDay}
+                                />
+                            }
+                        />
+                        <Legend />
+                        {milestones
+                            .filter(
+                                (milestone) => milestone.energy !== targetEnergy
+                            )
+                            .map((milestone) => (
+                                <ReferenceLine
+                                    key={milestone.id}
+                                    yAxisId="energy"
+                                    y={milestone.energy}
+                                    stroke={
+                                        milestone.goal ? "#059669" : "#a8a29e"
+                                    }
+                                    strokeDasharray="2 4"
+                                    label={{
+                                        value: milestone.name,
+                                        position: "insideTopLeft",
+                                        fontSize: 10,
+                                        fill: "#78716c",
+                                    }}
+                                />
+                            ))}
+                        <ReferenceLine
+                            yAxisId="energy"
+                            y={targetEnergy}
+                            stroke="#b91c1c"
+                            strokeDasharray="4 2"
+                            label={{
+                                value: `Target (${targetEnergy})`,
+                                position: "insideTopRight",
+                                fontSize: 11,
+                                fill: "#b91c1c",
+                            }}
+                        />
+                        {showDetails && (
+                            <Bar
+                                yAxisId="minutes"
+                                dataKey="minutes"
+                                name="Minutes"
+                                fill="#a7f3d0"
+                                barSize={8}
+                            />
+                        )}
+                        <Line
+                            yAxisId="energy"
+                            type="monotone"
+                            dataKey="energy"
+                            name="Energy"
+                            stroke="#0d9488"
+                            activeDot={{ r: 8 }}
+                            dot={
+                                showDetails ? false : { r: 3, fill: "#0d9488" }
+                            }
+                        />
+                        {showDetails && (
+                            <Scatter
+                                yAxisId="energy"
+                                dataKey="gainMarker"
+                                name="Gain"
+                                fill="#059669"
+                            />
+                        )}
+                        {showDetails && (
+                            <Scatter
+                                yAxisId="energy"
+                                dataKey="lossMarker"
+                                name="Loss"
+                                fill="#ea580c"
+                            />
+                        )}
+                        {showForecast && (
+                            <Line
+                                yAxisId="energy"
+                                type="monotone"
+                                dataKey="projectedEnergy"
+                                name="Forecast"
+                                stroke="#0d9488"
+                                strokeDasharray="6 4"
+                                strokeOpacity={0.6}
+                                dot={false}
+                                connectNulls
+                            />
+                        )}
+                        <Brush dataKey="day" height={20} stroke="#0d9488" />
+                    </ComposedChart>
+                </ResponsiveContainer>
+            </div>
+        </div>
+    );
+};
+
+export default EnergyChart;
@@ -0,0 +1,118 @@
+import React, { useState } from "react";
+
+// Editor for the practice-form catalog: names and intensity multipliers.
+// Saving replays the whole log, since multipliers change every practice day.
+const FormCatalogEditor = ({ forms, onSave }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const [draft, setDraft] = useState(forms);
+
+    const open = () => {
+        setDraft(forms);
+        setIsOpen(true);
+    };
+
+    const updateForm = (index, changes) =>
+        setDraft(
+            draft.map((form, i) =>
+                i === index ? { ...form, ...changes } : form
+            )
+        );
+
+    const addForm = () =>
+        setDraft([
+            ...draft,
+            { id: crypto.randomUUID(), name: "New Form", multiplier: 1 },
+        ]);
+
+    const removeForm = (index) =>
+        setDraft(draft.filter((_, i) => i !== index));
+
+    const isValid = draft.every(
+        (form) =>
+            form.name.trim() !== "" &&
+            !isNaN(form.multiplier) &&
+            form.multiplier > 0
+    );
+
+    const save = () => {
+        onSave(draft.map((form) => ({ ...form, name: form.name.trim() })));
+        setIsOpen(false);
+    };
+
+    if (!isOpen) {
+        return (
+            <button
+                onClick={open}
+                className="bg-teal-600 hover:bg-teal-700 text-white font-medium py-2 px-4 rounded transition duration-150 ease-in-out shadow-sm"
+            >
+                Edit Practice Forms
+            </button>
+        );
+    }
+
+    return (
+        <div className="border border-stone-200 rounded p-3 space-y-2 text-sm">
+            <div className="text-stone-600 italic">
+                Each minute of a form counts as its multiplier in minutes of
+                practice (1 = standard intensity).
+            </div>
+            {draft.map((form, index) => (
+                <div key={form.id} className="flex items-center gap-2">
+                    <input
+                        type="text"
+                        value={form.name}
+                        onChange={(e) =>
+                            updateForm(index, { name: e.target.value })
+                        }
+                        className="flex-1 rounded-md border border-stone-300 p-1"
+                    />
+                    <input
+                        type="number"
+                        min="0.1"
+                        step="0.1"
+                        value={form.multiplier}
+                        onChange={(e) =>
+                            updateForm(index, {
+                                multiplier: parseFloat(e.target.value),
+                            })
+                        }
+                        className="w-20 rounded-md border border-stone-300 p-1"
+                    />
+                    <span className="text-stone-500">x</span>
+                    <button
+                        onClick={() => removeForm(index)}
+                        disabled={draft.length === 1}
+                        className="text-red-500 hover:text-red-700 disabled:opacity-30"
+                        title="Remove form"
+                    >
+                        🗑️
+                    </button>
+                </div>
+            ))}
+            <div className="flex gap-2">
+                <button
+                    onClick={addForm}
+                    className="text-teal-700 hover:text-teal-900"
+                >
+                    + Add Form
+                </button>
+                <div className="flex-1" />
+                <button
+                    onClick={() => setIsOpen(false)}
+                    className="text-stone-500 hover:text-stone-700"
+                >
+                    Cancel
+                </button>
+                <button
+                    onClick={save}
+                    disabled={!isValid}
+                    className="bg-teal-600 hover:bg-teal-700 disabled:bg-stone-300 text-white font-medium py-1 px-3 rounded"
+                >
+                    Save & Recalculate
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default FormCatalogEditor;
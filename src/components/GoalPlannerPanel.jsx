@@ -0,0 +1,139 @@
+import React, { useState } from "react";
+import {
+    MAX_DAILY_MINUTES,
+    projectEnergy,
+    solveDailyMinutes,
+} from "../practicePlan";
+import { addDays, dayForDate, formatDate, todayISO } from "../dates";
+
+// Inverse of the forecast: given a target and a deadline, solve for the
+// minimum daily minutes needed from the current log state
+const GoalPlannerPanel = ({
+    startDay,
+    startEnergy,
+    defaultTarget,
+    startDate,
+    params,
+    onUsePlan,
+}) => {
+    const [target, setTarget] = useState(defaultTarget);
+    const [deadline, setDeadline] = useState(() => addDays(todayISO(), 90));
+    const [skipsPerWeek, setSkipsPerWeek] = useState(0);
+
+    const days = dayForDate(startDate, deadline) - startDay + 1;
+    const skipRate = skipsPerWeek / 7;
+    const requiredMinutes =
+        days > 0 && target > 0
+            ? solveDailyMinutes({
+                  startDay,
+                  startEnergy,
+                  target,
+                  days,
+                  skipRate,
+                  params,
+              })
+            : null;
+
+    // For the warning: how far the longest suggested practice gets by then
+    const bestEffort =
+        requiredMinutes === null && days > 0
+            ? projectEnergy({
+                  startDay,
+                  startEnergy,
+                  minutesPerDay: MAX_DAILY_MINUTES,
+                  skipRate,
+                  target: Infinity,
+                  params,
+                  maxDays: days,
+              }).finalEnergy
+            : null;
+
+    return (
+        <div className="mb-6 border border-stone-200 rounded-lg p-4 shadow-sm">
+            <h2 className="text-lg font-semibold mb-3 text-stone-700">
+                Goal Planner
+            </h2>
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 text-sm text-stone-700">
+                <label className="block">
+                    <span className="block font-medium">Target energy</span>
+                    <input
+                        type="number"
+                        min="1"
+                        value={target}
+                        onChange={(e) =>
+                            setTarget(parseFloat(e.target.value) || 0)
+                        }
+                        className="mt-1 w-full rounded-md border border-stone-300 p-1"
+                    />
+                </label>
+                <label className="block">
+                    <span className="block font-medium">Deadline</span>
+                    <input
+                        type="date"
+                        value={deadline}
+                        onChange={(e) => setDeadline(e.target.value)}
+                        className="mt-1 w-full rounded-md border border-stone-300 p-1"
+                    />
+                </label>
+                <label className="block">
+                    <span className="block font-medium">
+                        Skip days allowed per week
+                    </span>
+                    <select
+                        value={skipsPerWeek}
+                        onChange={(e) =>
+                            setSkipsPerWeek(parseInt(e.target.value, 10))
+                        }
+                        className="mt-1 w-full rounded-md border border-stone-300 p-1"
+                    >
+                        {[0, 1, 2, 3, 4, 5, 6].map((count) => (
+                            <option key={count} value={count}>
+                                {count}
+                            </option>
+                        ))}
+                    </select>
+                </label>
+            </div>
+
+            <div className="mt-3 text-sm">
+                {!deadline || days <= 0 ? (
+                    <span className="text-orange-700">
+                        Pick a deadline after today.
+                    </span>
+                ) : requiredMinutes === null ? (
+                    <span className="text-orange-700 font-medium">
+                        ⚠️ {target} energy is out of reach by{" "}
+                        {formatDate(deadline)}: even {MAX_DAILY_MINUTES}{" "}
+                        min/day only gets you to {bestEffort?.toFixed(1)}.
+                        Move the deadline or lower the target.
+                    </span>
+                ) : requiredMinutes === 0 ? (
+                    <span className="text-emerald-700 font-medium">
+                        You've already reached {target} energy.
+                    </span>
+                ) : (
+                    <div className="flex items-center justify-between gap-3">
+                        <span className="text-teal-700 font-medium">
+                            Practice at least {requiredMinutes} min/day to reach{" "}
+                            {target} energy by {formatDate(deadline)} ({days}{" "}
+                            day{days === 1 ? "" : "s"}).
+                        </span>
+                        <button
+                            onClick={() =>
+                                onUsePlan({
+                                    minutesPerDay: requiredMinutes,
+                                    skipRate,
+                                })
+                            }
+                            className="bg-teal-600 hover:bg-teal-700 text-white font-medium py-1 px-3 rounded whitespace-nowrap"
+                        >
+                            Use in Forecast
+                        </button>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default GoalPlannerPanel;
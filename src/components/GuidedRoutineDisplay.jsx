@@ -0,0 +1,44 @@
+import React from "react";
+import { routinePosition } from "../routines";
+import { formatTimer } from "./timerFormat";
+
+// Countdown of the current segment of a guided routine, with the segments
+// done, running and still to come
+const GuidedRoutineDisplay = ({ routine, elapsed }) => {
+    const position = routinePosition(routine, elapsed);
+    const next = routine.segments[position.index + 1];
+
+    return (
+        <div className="space-y-2">
+            <div className="text-sm text-stone-600">
+                {position.done ? "Routine complete" : position.segment.name}
+            </div>
+            <div className="text-4xl font-mono font-semibold text-emerald-700">
+                {formatTimer(position.segmentRemaining)}
+            </div>
+            <div className="text-xs text-stone-500">
+                {next ? `Next: ${next.name} · ` : ""}
+                {formatTimer(position.totalRemaining)} left in the routine
+            </div>
+            <ol className="flex flex-wrap justify-center gap-1 text-xs">
+                {routine.segments.map((segment, index) => (
+                    <li
+                        key={segment.id}
+                        className={`px-2 py-1 rounded ${
+                            index < position.index
+                                ? "bg-emerald-100 text-emerald-800"
+                                : index === position.index
+                                ? "bg-teal-600 text-white"
+                                : "bg-stone-200 text-stone-600"
+                        }`}
+                    >
+                        {index < position.index && "✓ "}
+                        {segment.name} ({segment.minutes} min)
+                    </li>
+                ))}
+            </ol>
+        </div>
+    );
+};
+
+export default GuidedRoutineDisplay;
@@ -0,0 +1,232 @@
+import React, { useState } from "react";
+import {
+    diffHistory,
+    historyToCSV,
+    historyToJSON,
+    parseHistory,
+} from "../history";
+import { historyToICS } from "../calendarExport";
+
+const download = (content, fileName, type) => {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+const describeEntry = (entry) => {
+    if (!entry) return "—";
+    if (entry.practice) return `${entry.minutes} min`;
+    if (entry.rest) return "rest";
+    return entry.excused ? "excused" : "skipped";
+};
+
+const STATUS_STYLES = {
+    added: "text-emerald-700",
+    changed: "text-amber-700",
+    removed: "text-red-700",
+};
+
+// Export of the whole history as CSV, JSON or a calendar file, and import
+// with a preview of what would change before anything is written
+const HistoryTransfer = ({
+    log,
+    sessions,
+    forms,
+    startDate,
+    disabled,
+    onImport,
+}) => {
+    const [preview, setPreview] = useState(null); // Parsed file awaiting confirmation
+    const [mode, setMode] = useState("merge");
+    const [includeSkipped, setIncludeSkipped] = useState(false); // Calendar export
+
+    const fileStem = `qigong-history-${new Date().toISOString().slice(0, 10)}`;
+
+    const handleFile = async (event) => {
+        const file = event.target.files[0];
+        event.target.value = ""; // Allow picking the same file again
+        if (!file) return;
+        const text = await file.text();
+        setPreview({ fileName: file.name, ...parseHistory(text, file.name) });
+    };
+
+    const apply = async () => {
+        await onImport({
+            entries: preview.entries,
+            sessions: preview.sessions,
+            mode,
+        });
+        setPreview(null);
+    };
+
+    const renderPreview = () => {
+        if (preview.errors.length > 0) {
+            return (
+                <div className="text-red-700">
+                    <div className="font-semibold mb-1">
+                        {preview.fileName} can't be imported:
+                    </div>
+                    <ul className="list-disc pl-5 max-h-32 overflow-y-auto">
+                        {preview.errors.map((error) => (
+                            <li key={error}>{error}</li>
+                        ))}
+                    </ul>
+                </div>
+            );
+        }
+
+        const diff = diffHistory(log, preview.entries, mode);
+        const changes = diff.filter(({ status }) => status !== "unchanged");
+        const count = (status) =>
+            diff.filter((row) => row.status === status).length;
+
+        return (
+            <div className="space-y-2">
+                <div className="font-semibold text-stone-700">
+                    {preview.fileName}: {preview.entries.length} day
+                    {preview.entries.length === 1 ? "" : "s"}
+                    {preview.sessions.length > 0 &&
+                        `, ${preview.sessions.length} sessions`}
+                </div>
+                <div className="flex gap-4 text-stone-700">
+                    <label className="flex items-center gap-1">
+                        <input
+                            type="radio"
+                            checked={mode === "merge"}
+                            onChange={() => setMode("merge")}
+                        />
+                        Merge into current history
+                    </label>
+                    <label className="flex items-center gap-1">
+                        <input
+                            type="radio"
+                            checked={mode === "replace"}
+                            onChange={() => setMode("replace")}
+                        />
+                        Replace current history
+                    </label>
+                </div>
+                <div className="text-stone-600">
+                    {count("added")} added, {count("changed")} changed,{" "}
+                    {count("removed")} removed, {count("unchanged")} unchanged
+                </div>
+                {changes.length > 0 && (
+                    <ul className="max-h-40 overflow-y-auto border border-stone-200 rounded p-2">
+                        {changes.map(({ day, status, before, after }) => (
+                            <li key={day} className={STATUS_STYLES[status]}>
+                                Day {day}: {describeEntry(before)} →{" "}
+                                {describeEntry(after)}
+                            </li>
+                        ))}
+                    </ul>
+                )}
+                <div className="text-xs text-stone-500 italic">
+                    Energy is recalculated from the earliest changed day.
+                </div>
+            </div>
+        );
+    };
+
+    return (
+        <div className="border border-stone-200 rounded p-3 space-y-2 text-sm">
+            <div className="flex flex-wrap gap-2">
+                <button
+                    onClick={() =>
+                        download(
+                            historyToCSV(log, sessions),
+                            `${fileStem}.csv`,
+                            "text/csv"
+                        )
+                    }
+                    disabled={log.length === 0}
+                    className="bg-teal-600 hover:bg-teal-700 disabled:bg-stone-300 text-white font-medium py-1 px-3 rounded"
+                >
+                    Export CSV
+                </button>
+                <button
+                    onClick={() =>
+                        download(
+                            historyToJSON(log, sessions),
+                            `${fileStem}.json`,
+                            "application/json"
+                        )
+                    }
+                    disabled={log.length === 0}
+                    className="bg-teal-600 hover:bg-teal-700 disabled:bg-stone-300 text-white font-medium py-1 px-3 rounded"
+                >
+                    Export JSON
+                </button>
+                <button
+                    onClick={() =>
+                        download(
+                            historyToICS(log, sessions, {
+                                forms,
+                                startDate,
+                                includeSkipped,
+                            }),
+                            `${fileStem}.ics`,
+                            "text/calendar"
+                        )
+                    }
+                    disabled={log.length === 0}
+                    className="bg-teal-600 hover:bg-teal-700 disabled:bg-stone-300 text-white font-medium py-1 px-3 rounded"
+                >
+                    Export Calendar
+                </button>
+                <label
+                    className={`font-medium py-1 px-3 rounded ${
+                        disabled
+                            ? "bg-stone-300 text-white"
+                            : "bg-stone-200 hover:bg-stone-300 text-stone-800 cursor-pointer"
+                    }`}
+                    title={disabled ? "Pause the timer before importing" : ""}
+                >
+                    Import…
+                    <input
+                        type="file"
+                        accept=".csv,.json,text/csv,application/json"
+                        onChange={handleFile}
+                        disabled={disabled}
+                        className="hidden"
+                    />
+                </label>
+            </div>
+            <label className="flex items-center gap-2 text-stone-600">
+                <input
+                    type="checkbox"
+                    checked={includeSkipped}
+                    onChange={(e) => setIncludeSkipped(e.target.checked)}
+                />
+                Include skipped days in the calendar export
+            </label>
+
+            {preview && (
+                <>
+                    {renderPreview()}
+                    <div className="flex gap-2 justify-end">
+                        <button
+                            onClick={() => setPreview(null)}
+                            className="text-stone-500 hover:text-stone-700"
+                        >
+                            Cancel
+                        </button>
+                        {preview.errors.length === 0 && (
+                            <button
+                                onClick={apply}
+                                disabled={disabled}
+                                className="bg-teal-600 hover:bg-teal-700 disabled:bg-stone-300 text-white font-medium py-1 px-3 rounded"
+                            >
+                                {mode === "replace" ? "Replace" : "Merge"}
+                            </button>
+                        )}
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default HistoryTransfer;
@@ -0,0 +1,64 @@
+import React, { useState } from "react";
+import { addDays, todayISO } from "../dates";
+
+// Adds a day missing from the middle of the history. onInsert(date, minutes)
+// resolves to true once the day was added; 0 minutes logs it as skipped.
+const InsertDayForm = ({ disabled, onInsert }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const [date, setDate] = useState(() => addDays(todayISO(), -1));
+    const [minutes, setMinutes] = useState(0);
+
+    const submit = async () => {
+        if (await onInsert(date, minutes)) setIsOpen(false);
+    };
+
+    if (!isOpen) {
+        return (
+            <button
+                onClick={() => setIsOpen(true)}
+                disabled={disabled}
+                className="text-sm text-teal-700 hover:text-teal-900 disabled:text-stone-400"
+            >
+                + Add missing day
+            </button>
+        );
+    }
+
+    return (
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+            <input
+                type="date"
+                value={date}
+                max={addDays(todayISO(), -1)}
+                onChange={(e) => setDate(e.target.value)}
+                className="rounded-md border border-stone-300 p-1"
+            />
+            <input
+                type="number"
+                min="0"
+                value={minutes}
+                onChange={(e) =>
+                    setMinutes(Math.max(0, parseInt(e.target.value) || 0))
+                }
+                className="w-16 text-center rounded-md border border-stone-300 p-1"
+                title="Minutes practiced (0 logs a skipped day)"
+            />
+            <span className="text-stone-600">min</span>
+            <button
+                onClick={submit}
+                disabled={disabled || !date}
+                className="bg-teal-600 hover:bg-teal-700 disabled:bg-stone-300 text-white font-medium py-1 px-3 rounded"
+            >
+                Add
+            </button>
+            <button
+                onClick={() => setIsOpen(false)}
+                className="text-stone-500 hover:text-stone-700"
+            >
+                Cancel
+            </button>
+        </div>
+    );
+};
+
+export default InsertDayForm;
@@ -0,0 +1,137 @@
+import React, { useState } from "react";
+
+// Editor for the milestone ladder. Milestones marked as goals get their own
+// progress bar; the lowest unreached goal is the main target.
+const MilestoneEditor = ({ milestones, onSave }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const [draft, setDraft] = useState(milestones);
+
+    const open = () => {
+        setDraft(milestones);
+        setIsOpen(true);
+    };
+
+    const updateMilestone = (index, changes) =>
+        setDraft(
+            draft.map((milestone, i) =>
+                i === index ? { ...milestone, ...changes } : milestone
+            )
+        );
+
+    const addMilestone = () => {
+        const highest = Math.max(0, ...draft.map((m) => m.energy));
+        setDraft([
+            ...draft,
+            {
+                id: crypto.randomUUID(),
+                name: "New Milestone",
+                energy: highest + 50,
+                goal: false,
+            },
+        ]);
+    };
+
+    const removeMilestone = (index) =>
+        setDraft(draft.filter((_, i) => i !== index));
+
+    const isValid = draft.every(
+        (milestone) =>
+            milestone.name.trim() !== "" &&
+            !isNaN(milestone.energy) &&
+            milestone.energy > 0
+    );
+
+    const save = () => {
+        onSave(
+            draft
+                .map((milestone) => ({
+                    ...milestone,
+                    name: milestone.name.trim(),
+                }))
+                .sort((a, b) => a.energy - b.energy)
+        );
+        setIsOpen(false);
+    };
+
+    if (!isOpen) {
+        return (
+            <button
+                onClick={open}
+                className="bg-teal-600 hover:bg-teal-700 text-white font-medium py-2 px-4 rounded transition duration-150 ease-in-out shadow-sm"
+            >
+                Edit Goals & Milestones
+            </button>
+        );
+    }
+
+    return (
+        <div className="border border-stone-200 rounded p-3 space-y-2 text-sm">
+            {draft.map((milestone, index) => (
+                <div key={milestone.id} className="flex items-center gap-2">
+                    <input
+                        type="text"
+                        value={milestone.name}
+                        onChange={(e) =>
+                            updateMilestone(index, { name: e.target.value })
+                        }
+                        className="flex-1 rounded-md border border-stone-300 p-1"
+                    />
+                    <input
+                        type="number"
+                        min="1"
+                        value={milestone.energy}
+                        onChange={(e) =>
+                            updateMilestone(index, {
+                                energy: parseFloat(e.target.value),
+                            })
+                        }
+                        className="w-20 rounded-md border border-stone-300 p-1"
+                    />
+                    <label className="flex items-center gap-1 text-stone-600">
+                        <input
+                            type="checkbox"
+                            checked={milestone.goal}
+                            onChange={(e) =>
+                                updateMilestone(index, {
+                                    goal: e.target.checked,
+                                })
+                            }
+                        />
+                        Goal
+                    </label>
+                    <button
+                        onClick={() => removeMilestone(index)}
+                        className="text-red-500 hover:text-red-700"
+                        title="Remove milestone"
+                    >
+                        🗑️
+                    </button>
+                </div>
+            ))}
+            <div className="flex gap-2">
+                <button
+                    onClick={addMilestone}
+                    className="text-teal-700 hover:text-teal-900"
+                >
+                    + Add Milestone
+                </button>
+                <div className="flex-1" />
+                <button
+                    onClick={() => setIsOpen(false)}
+                    className="text-stone-500 hover:text-stone-700"
+                >
+                    Cancel
+                </button>
+                <button
+                    onClick={save}
+                    disabled={!isValid}
+                    className="bg-teal-600 hover:bg-teal-700 disabled:bg-stone-300 text-white font-medium py-1 px-3 rounded"
+                >
+                    Save
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default MilestoneEditor;
@@ -0,0 +1,61 @@
+import React from "react";
+import { formatDate } from "../dates";
+
+// Confirmation summary for days that passed without a log entry
+const MissedDaysPrompt = ({
+    entries,
+    energyBefore,
+    disabled,
+    onApply,
+    onDismiss,
+}) => {
+    const first = entries[0];
+    const last = entries[entries.length - 1];
+    const range =
+        entries.length === 1
+            ? formatDate(first.date)
+            : `${formatDate(first.date)} – ${formatDate(last.date)}`;
+    const restDays = entries.filter((entry) => entry.rest).length;
+
+    return (
+        <div className="mb-6 border border-orange-300 bg-orange-50 rounded-lg p-4 shadow-sm text-sm text-orange-900">
+            <div className="font-semibold mb-1">
+                {entries.length} day{entries.length === 1 ? "" : "s"} passed
+                without an entry ({range})
+            </div>
+            <div className="mb-3">
+                Logging {entries.length === 1 ? "it" : "them"} as skipped
+                lowers your energy from {energyBefore.toFixed(1)} to{" "}
+                {last.energy.toFixed(1)}.
+                {restDays > 0 &&
+                    ` ${restDays} of them ${
+                        restDays === 1
+                            ? "is a planned rest day"
+                            : "are planned rest days"
+                    } and will be logged as rest.`}
+            </div>
+            <div className="flex gap-2 items-center">
+                <button
+                    onClick={onApply}
+                    disabled={disabled}
+                    className="bg-orange-600 hover:bg-orange-700 disabled:bg-stone-300 text-white font-medium py-1 px-3 rounded"
+                >
+                    Log as Skipped
+                </button>
+                <button
+                    onClick={onDismiss}
+                    className="bg-stone-500 hover:bg-stone-600 text-white font-medium py-1 px-3 rounded"
+                >
+                    Not Now
+                </button>
+                {disabled && (
+                    <span className="italic text-stone-600">
+                        Finish today's practice first.
+                    </span>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default MissedDaysPrompt;
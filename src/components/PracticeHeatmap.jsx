@@ -0,0 +1,223 @@
+import React, { useState } from "react";
+import {
+    addDays,
+    dateForDay,
+    formatDate,
+    parseDate,
+    startOfWeek,
+    todayISO,
+    toISODate,
+} from "../dates";
+
+const WEEKDAY_LABELS = ["", "Mon", "", "Wed", "", "Fri", ""];
+
+// Cell colour by minutes practiced; other day types get their own colour
+const cellColor = (entry) => {
+    if (!entry) return "bg-stone-100";
+    if (entry.excused) return "bg-stone-300";
+    if (entry.rest) return "bg-sky-200";
+    if (!entry.practice) return "bg-orange-300";
+    if (entry.minutes >= 60) return "bg-emerald-700";
+    if (entry.minutes >= 30) return "bg-emerald-500";
+    if (entry.minutes >= 15) return "bg-emerald-300";
+    return "bg-emerald-200";
+};
+
+const LEGEND = [
+    { label: "Skipped", className: "bg-orange-300" },
+    { label: "Excused", className: "bg-stone-300" },
+    { label: "Rest", className: "bg-sky-200" },
+    { label: "<15", className: "bg-emerald-200" },
+    { label: "15+", className: "bg-emerald-300" },
+    { label: "30+", className: "bg-emerald-500" },
+    { label: "60+ min", className: "bg-emerald-700" },
+];
+
+// First and last date shown for a view, `offset` periods back from `reference`
+const periodRange = (view, reference, offset) => {
+    if (view === "month") {
+        const date = parseDate(reference);
+        const first = new Date(date.getFullYear(), date.getMonth() + offset, 1);
+        const last = new Date(first.getFullYear(), first.getMonth() + 1, 0);
+        return { first: toISODate(first), last: toISODate(last) };
+    }
+    const last = addDays(reference, offset * 52 * 7);
+    return { first: addDays(startOfWeek(last), -52 * 7), last };
+};
+
+// Dates in [first, last] as week columns of seven days, Sunday first.
+// Padding outside the range is null.
+const weekColumns = (first, last) => {
+    const weeks = [];
+    for (let week = startOfWeek(first); week <= last; week = addDays(week, 7)) {
+        weeks.push(
+            Array.from({ length: 7 }, (_, i) => {
+                const date = addDays(week, i);
+                return date < first || date > last ? null : date;
+            })
+        );
+    }
+    return weeks;
+};
+
+// GitHub-style calendar of the log. Clicking a logged day hands its day
+// number to onSelectDay so the history table can open it.
+const PracticeHeatmap = ({ log, startDate, onSelectDay }) => {
+    const [view, setView] = useState("year");
+    const [offset, setOffset] = useState(0); // Periods back from the latest
+    const [hovered, setHovered] = useState(null); // { date, entry }
+
+    const byDate = new Map(
+        log.map((entry) => [
+            entry.date ?? dateForDay(startDate, entry.day),
+            entry,
+        ])
+    );
+    const lastDate = [...byDate.keys()].sort().pop();
+    const reference =
+        lastDate && lastDate > todayISO() ? lastDate : todayISO();
+    const { first, last } = periodRange(view, reference, offset);
+    const weeks = weekColumns(first, last);
+    const cellSize = view === "month" ? "w-8 h-8" : "w-3 h-3";
+
+    const changeView = (nextView) => {
+        setView(nextView);
+        setOffset(0);
+    };
+
+    const title =
+        view === "month"
+            ? parseDate(first).toLocaleDateString("en-US", {
+                  month: "long",
+                  year: "numeric",
+              })
+            : `${formatDate(first)} – ${formatDate(last)}`;
+
+    const describeHovered = () => {
+        if (!hovered) return "Hover over a day for details";
+        const { date, entry } = hovered;
+        if (!entry) return `${formatDate(date)}: not logged`;
+        if (entry.excused || entry.rest) {
+            return `${formatDate(date)} (Day ${entry.day}): ${
+                entry.rest ? "rest day" : "excused"
+            }, energy ${entry.energy.toFixed(2)}`;
+        }
+        if (!entry.practice) {
+            return `${formatDate(date)} (Day ${entry.day}): skipped, energy ${entry.energy.toFixed(
+                2
+            )} (-${(entry.loss ?? 0).toFixed(2)})`;
+        }
+        return `${formatDate(date)} (Day ${entry.day}): ${
+            entry.minutes
+        } min, energy ${entry.energy.toFixed(2)} (+${(entry.gain ?? 0).toFixed(
+            2
+        )})`;
+    };
+
+    return (
+        <div className="mb-6 border border-stone-200 rounded-lg p-4 shadow-sm">
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+                <h2 className="text-lg font-semibold text-stone-700">
+                    Practice Calendar
+                </h2>
+                <div className="flex items-center gap-2 text-sm">
+                    {["year", "month"].map((option) => (
+                        <button
+                            key={option}
+                            onClick={() => changeView(option)}
+                            className={`px-2 py-1 rounded-md ${
+                                view === option
+                                    ? "bg-teal-600 text-white"
+                                    : "bg-stone-200 hover:bg-stone-300 text-stone-800"
+                            }`}
+                        >
+                            {option === "year" ? "Year" : "Month"}
+                        </button>
+                    ))}
+                    <button
+                        onClick={() => setOffset(offset - 1)}
+                        className="px-2 py-1 rounded-md bg-stone-200 hover:bg-stone-300 text-stone-800"
+                        title="Previous"
+                    >
+                        ‹
+                    </button>
+                    <button
+                        onClick={() => setOffset(offset + 1)}
+                        disabled={offset === 0}
+                        className="px-2 py-1 rounded-md bg-stone-200 hover:bg-stone-300 disabled:opacity-50 text-stone-800"
+                        title="Next"
+                    >
+                        ›
+                    </button>
+                </div>
+            </div>
+            <div className="text-sm text-stone-600 mb-2">{title}</div>
+
+            <div className="flex gap-1 overflow-x-auto pb-1">
+                <div className="flex flex-col gap-1 text-[10px] text-stone-400 pr-1">
+                    {WEEKDAY_LABELS.map((label, i) => (
+                        <div
+                            key={i}
+                            className={`${cellSize} flex items-center`}
+                        >
+                            {label}
+                        </div>
+                    ))}
+                </div>
+                {weeks.map((week) => (
+                    <div key={week[0] ?? week[6]} className="flex flex-col gap-1">
+                        {week.map((date, i) =>
+                            date ? (
+                                <button
+                                    key={date}
+                                    onClick={() => {
+                                        const entry = byDate.get(date);
+                                        if (entry) onSelectDay(entry.day);
+                                    }}
+                                    onMouseEnter={() =>
+                                        setHovered({
+                                            date,
+                                            entry: byDate.get(date),
+                                        })
+                                    }
+                                    onMouseLeave={() => setHovered(null)}
+                                    className={`${cellSize} rounded-sm ${cellColor(
+                                        byDate.get(date)
+                                    )} ${
+                                        byDate.has(date)
+                                            ? "cursor-pointer hover:ring-2 hover:ring-teal-500"
+                                            : "cursor-default"
+                                    } ${
+                                        view === "month"
+                                            ? "text-[10px] text-stone-600"
+                                            : ""
+                                    }`}
+                                    title={formatDate(date)}
+                                >
+                                    {view === "month" &&
+                                        parseDate(date).getDate()}
+                                </button>
+                            ) : (
+                                <div key={i} className={cellSize} />
+                            )
+                        )}
+                    </div>
+                ))}
+            </div>
+
+            <div className="mt-2 text-sm text-stone-700 min-h-[1.25rem]">
+                {describeHovered()}
+            </div>
+            <div className="mt-2 flex flex-wrap items-center gap-3 text-xs text-stone-500">
+                {LEGEND.map(({ label, className }) => (
+                    <span key={label} className="flex items-center gap-1">
+                        <span className={`w-3 h-3 rounded-sm ${className}`} />
+                        {label}
+                    </span>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default PracticeHeatmap;
@@ -0,0 +1,133 @@
+import React from "react";
+import { COMMON_DURATIONS, MAX_PROJECTION_DAYS } from "../practicePlan";
+
+// Planned schedule inputs and the resulting "when will I reach the target?"
+// forecast. The projection itself is computed by the parent, which also draws
+// it on the Energy Progression chart.
+const ProjectionPanel = ({
+    plan,
+    onPlanChange,
+    projection,
+    currentDay,
+    targetEnergy,
+    getDateForDay,
+}) => {
+    const update = (changes) => onPlanChange({ ...plan, ...changes });
+
+    const describeProjection = () => {
+        const { reachedDay, points, finalEnergy } = projection;
+        if (reachedDay === null) {
+            return `At this pace you won't reach ${targetEnergy} energy within ${MAX_PROJECTION_DAYS} days (${finalEnergy.toFixed(
+                1
+            )} by then).`;
+        }
+        if (points.length === 0) {
+            return `You've already reached ${targetEnergy} energy.`;
+        }
+        const daysToGo = reachedDay - currentDay;
+        const when =
+            daysToGo === 0
+                ? "today"
+                : `${daysToGo} day${daysToGo === 1 ? "" : "s"} from now`;
+        return `Projected to reach ${targetEnergy} energy on Day ${reachedDay} (${getDateForDay(
+            reachedDay
+        )}), ${when}.`;
+    };
+
+    return (
+        <div className="mb-6 border border-stone-200 rounded-lg p-4 shadow-sm">
+            <h2 className="text-lg font-semibold mb-3 text-stone-700">
+                Forecast
+            </h2>
+            <div className="space-y-3">
+                <div>
+                    <label className="block text-sm font-medium text-stone-700">
+                        Planned practice (minutes per day)
+                    </label>
+                    <div className="mt-1 flex items-center gap-2">
+                        <input
+                            type="range"
+                            min="1"
+                            max="240"
+                            value={plan.minutesPerDay}
+                            onChange={(e) =>
+                                update({
+                                    minutesPerDay:
+                                        parseInt(e.target.value) || 1,
+                                })
+                            }
+                            className="w-full h-2 bg-stone-200 rounded-lg appearance-none cursor-pointer"
+                        />
+                        <input
+                            type="number"
+                            min="1"
+                            max="240"
+                            value={plan.minutesPerDay}
+                            onChange={(e) =>
+                                update({
+                                    minutesPerDay:
+                                        parseInt(e.target.value) || 1,
+                                })
+                            }
+                            className="w-16 text-center rounded-md border border-stone-300 p-1"
+                        />
+                    </div>
+                    <div className="mt-2 flex flex-wrap gap-2">
+                        {COMMON_DURATIONS.map((duration) => (
+                            <button
+                                key={duration}
+                                onClick={() =>
+                                    update({ minutesPerDay: duration })
+                                }
+                                className={`px-2 py-1 text-xs rounded-md ${
+                                    plan.minutesPerDay === duration
+                                        ? "bg-teal-600 text-white"
+                                        : "bg-stone-200 hover:bg-stone-300 text-stone-800"
+                                }`}
+                            >
+                                {duration} min
+                            </button>
+                        ))}
+                    </div>
+                </div>
+
+                <div>
+                    <label className="block text-sm font-medium text-stone-700">
+                        Expected skipped days:{" "}
+                        {Math.round(plan.skipRate * 100)}%
+                    </label>
+                    <input
+                        type="range"
+                        min="0"
+                        max="100"
+                        step="5"
+                        value={Math.round(plan.skipRate * 100)}
+                        onChange={(e) =>
+                            update({
+                                skipRate: parseInt(e.target.value, 10) / 100,
+                            })
+                        }
+                        className="w-full h-2 bg-stone-200 rounded-lg appearance-none cursor-pointer"
+                    />
+                </div>
+
+                <label className="flex items-center gap-2 text-sm text-stone-700">
+                    <input
+                        type="checkbox"
+                        checked={plan.showOnChart}
+                        onChange={(e) =>
+                            update({ showOnChart: e.target.checked })
+                        }
+                    />
+                    Show forecast on chart
+                </label>
+
+                <div className="text-sm font-medium text-teal-700">
+                    {describeProjection()}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ProjectionPanel;
@@ -0,0 +1,231 @@
+import React, { useState } from "react";
+import { routineSeconds } from "../routines";
+
+const newSegment = () => ({
+    id: crypto.randomUUID(),
+    name: "New Segment",
+    minutes: 5,
+});
+
+// Editor for guided session routines: each is a named list of timed
+// segments, practiced in order with a bell between them.
+const RoutineEditor = ({ routines, onSave }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const [draft, setDraft] = useState(routines);
+
+    const open = () => {
+        setDraft(routines);
+        setIsOpen(true);
+    };
+
+    const updateRoutine = (index, changes) =>
+        setDraft(
+            draft.map((routine, i) =>
+                i === index ? { ...routine, ...changes } : routine
+            )
+        );
+
+    const updateSegment = (routineIndex, segmentIndex, changes) =>
+        updateRoutine(routineIndex, {
+            segments: draft[routineIndex].segments.map((segment, i) =>
+                i === segmentIndex ? { ...segment, ...changes } : segment
+            ),
+        });
+
+    const moveSegment = (routineIndex, segmentIndex, offset) => {
+        const segments = [...draft[routineIndex].segments];
+        const [segment] = segments.splice(segmentIndex, 1);
+        segments.splice(segmentIndex + offset, 0, segment);
+        updateRoutine(routineIndex, { segments });
+    };
+
+    const addRoutine = () =>
+        setDraft([
+            ...draft,
+            {
+                id: crypto.randomUUID(),
+                name: "New Routine",
+                segments: [newSegment()],
+            },
+        ]);
+
+    const isValid = draft.every(
+        (routine) =>
+            routine.name.trim() !== "" &&
+            routine.segments.length > 0 &&
+            routine.segments.every(
+                (segment) =>
+                    segment.name.trim() !== "" &&
+                    !isNaN(segment.minutes) &&
+                    segment.minutes > 0
+            )
+    );
+
+    const save = () => {
+        onSave(
+            draft.map((routine) => ({
+                ...routine,
+                name: routine.name.trim(),
+                segments: routine.segments.map((segment) => ({
+                    ...segment,
+                    name: segment.name.trim(),
+                })),
+            }))
+        );
+        setIsOpen(false);
+    };
+
+    if (!isOpen) {
+        return (
+            <button
+                onClick={open}
+                className="bg-teal-600 hover:bg-teal-700 text-white font-medium py-2 px-4 rounded transition duration-150 ease-in-out shadow-sm"
+            >
+                Edit Guided Routines
+            </button>
+        );
+    }
+
+    return (
+        <div className="border border-stone-200 rounded p-3 space-y-3 text-sm">
+            {draft.map((routine, routineIndex) => (
+                <div
+                    key={routine.id}
+                    className="space-y-1 border-b border-stone-200 pb-2"
+                >
+                    <div className="flex items-center gap-2">
+                        <input
+                            type="text"
+                            value={routine.name}
+                            onChange={(e) =>
+                                updateRoutine(routineIndex, {
+                                    name: e.target.value,
+                                })
+                            }
+                            className="flex-1 rounded-md border border-stone-300 p-1 font-medium"
+                        />
+                        {isValid && (
+                            <span className="text-stone-500">
+                                {routineSeconds(routine) / 60} min
+                            </span>
+                        )}
+                        <button
+                            onClick={() =>
+                                setDraft(
+                                    draft.filter((_, i) => i !== routineIndex)
+                                )
+                            }
+                            className="text-red-500 hover:text-red-700"
+                            title="Remove routine"
+                        >
+                            🗑️
+                        </button>
+                    </div>
+                    {routine.segments.map((segment, segmentIndex) => (
+                        <div
+                            key={segment.id}
+                            className="flex items-center gap-2 pl-4"
+                        >
+                            <input
+                                type="text"
+                                value={segment.name}
+                                onChange={(e) =>
+                                    updateSegment(routineIndex, segmentIndex, {
+                                        name: e.target.value,
+                                    })
+                                }
+                                className="flex-1 rounded-md border border-stone-300 p-1"
+                            />
+                            <input
+                                type="number"
+                                min="1"
+                                value={
+                                    isNaN(segment.minutes)
+                                        ? ""
+                                        : segment.minutes
+                                }
+                                onChange={(e) =>
+                                    updateSegment(routineIndex, segmentIndex, {
+                                        minutes: parseInt(e.target.value),
+                                    })
+                                }
+                                className="w-16 rounded-md border border-stone-300 p-1"
+                            />
+                            <span className="text-stone-500">min</span>
+                            <button
+                                onClick={() =>
+                                    moveSegment(routineIndex, segmentIndex, -1)
+                                }
+                                disabled={segmentIndex === 0}
+                                className="text-stone-500 hover:text-stone-700 disabled:opacity-30"
+                                title="Move up"
+                            >
+                                ↑
+                            </button>
+                            <button
+                                onClick={() =>
+                                    moveSegment(routineIndex, segmentIndex, 1)
+                                }
+                                disabled={
+                                    segmentIndex === routine.segments.length - 1
+                                }
+                                className="text-stone-500 hover:text-stone-700 disabled:opacity-30"
+                                title="Move down"
+                            >
+                                ↓
+                            </button>
+                            <button
+                                onClick={() =>
+                                    updateRoutine(routineIndex, {
+                                        segments: routine.segments.filter(
+                                            (_, i) => i !== segmentIndex
+                                        ),
+                                    })
+                                }
+                                disabled={routine.segments.length === 1}
+                                className="text-red-500 hover:text-red-700 disabled:opacity-30"
+                                title="Remove segment"
+                            >
+                                🗑️
+                            </button>
+                        </div>
+                    ))}
+                    <button
+                        onClick={() =>
+                            updateRoutine(routineIndex, {
+                                segments: [...routine.segments, newSegment()],
+                            })
+                        }
+                        className="pl-4 text-teal-700 hover:text-teal-900"
+                    >
+                        + Add Segment
+                    </button>
+                </div>
+            ))}
+            <div className="flex gap-2">
+                <button
+                    onClick={addRoutine}
+                    className="text-teal-700 hover:text-teal-900"
+                >
+                    + Add Routine
+                </button>
+                <div className="flex-1" />
+                <button
+                    onClick={() => setIsOpen(false)}
+                    className="text-stone-500 hover:text-stone-700"
+                >
+                    Cancel
+                </button>
+                <button
+                    onClick={save}
+                    disabled={!isValid}
+                    className="bg-teal-600 hover:bg-teal-700 disabled:bg-stone-300 text-white font-medium py-1 px-3 rounded"
+                >
+                    Save
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default RoutineEditor;
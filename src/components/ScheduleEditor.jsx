@@ -0,0 +1,123 @@
+import React, { useState } from "react";
+import { WEEKDAYS, weeklyMinutes } from "../schedule";
+
+// Editor for the weekly schedule (settings.schedule): target minutes per
+// weekday, the prescribed rest days, and how much a rest day decays.
+const ScheduleEditor = ({ schedule, onSave }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const [draft, setDraft] = useState(schedule);
+
+    const open = () => {
+        setDraft(schedule);
+        setIsOpen(true);
+    };
+
+    const updateDay = (index, changes) =>
+        setDraft({
+            ...draft,
+            days: draft.days.map((day, i) =>
+                i === index ? { ...day, ...changes } : day
+            ),
+        });
+
+    const isValid =
+        draft.days.every((day) => !isNaN(day.minutes) && day.minutes >= 0) &&
+        !isNaN(draft.restDecay) &&
+        draft.restDecay >= 0 &&
+        draft.restDecay <= 1;
+
+    const save = () => {
+        onSave(draft);
+        setIsOpen(false);
+    };
+
+    if (!isOpen) {
+        return (
+            <button
+                onClick={open}
+                className="bg-teal-600 hover:bg-teal-700 text-white font-medium py-2 px-4 rounded transition duration-150 ease-in-out shadow-sm"
+            >
+                Edit Weekly Schedule
+            </button>
+        );
+    }
+
+    return (
+        <div className="border border-stone-200 rounded p-3 space-y-2 text-sm">
+            {draft.days.map((day, index) => (
+                <div key={WEEKDAYS[index]} className="flex items-center gap-2">
+                    <span className="flex-1 text-stone-700">
+                        {WEEKDAYS[index]}
+                    </span>
+                    <input
+                        type="number"
+                        min="0"
+                        value={isNaN(day.minutes) ? "" : day.minutes}
+                        disabled={day.rest}
+                        onChange={(e) =>
+                            updateDay(index, {
+                                minutes: parseInt(e.target.value),
+                            })
+                        }
+                        className="w-20 rounded-md border border-stone-300 p-1 disabled:bg-stone-100"
+                    />
+                    <span className="text-stone-500">min</span>
+                    <label className="flex items-center gap-1 text-stone-600">
+                        <input
+                            type="checkbox"
+                            checked={day.rest}
+                            onChange={(e) =>
+                                updateDay(index, { rest: e.target.checked })
+                            }
+                        />
+                        Rest
+                    </label>
+                </div>
+            ))}
+            <label className="flex items-center justify-between gap-2 text-stone-700">
+                <span>Rest day decay (share of a skipped day's loss)</span>
+                <span className="flex items-center gap-1">
+                    <input
+                        type="number"
+                        min="0"
+                        max="100"
+                        value={
+                            isNaN(draft.restDecay)
+                                ? ""
+                                : Math.round(draft.restDecay * 100)
+                        }
+                        onChange={(e) =>
+                            setDraft({
+                                ...draft,
+                                restDecay: parseFloat(e.target.value) / 100,
+                            })
+                        }
+                        className="w-20 rounded-md border border-stone-300 p-1"
+                    />
+                    <span className="text-stone-500">%</span>
+                </span>
+            </label>
+            <div className="flex gap-2 items-center">
+                <span className="text-stone-600">
+                    {isValid && `${weeklyMinutes(draft)} min per week`}
+                </span>
+                <div className="flex-1" />
+                <button
+                    onClick={() => setIsOpen(false)}
+                    className="text-stone-500 hover:text-stone-700"
+                >
+                    Cancel
+                </button>
+                <button
+                    onClick={save}
+                    disabled={!isValid}
+                    className="bg-teal-600 hover:bg-teal-700 disabled:bg-stone-300 text-white font-medium py-1 px-3 rounded"
+                >
+                    Save
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default ScheduleEditor;
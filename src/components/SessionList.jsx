@@ -0,0 +1,168 @@
+import React, { useState } from "react";
+import { overtimeSeconds, withDuration } from "../sessions";
+import { formName } from "../forms";
+
+const formatClock = (iso) =>
+    new Date(iso).toLocaleTimeString("en-US", {
+        hour: "numeric",
+        minute: "2-digit",
+    });
+
+// Expanded list of one day's sessions in the Practice History table
+const SessionList = ({ sessions, forms, onUpdate, onDelete }) => {
+    const [editingId, setEditingId] = useState(null);
+    const [draft, setDraft] = useState({ minutes: "", form: "", notes: "" });
+
+    const startEditing = (session) => {
+        setEditingId(session.id);
+        setDraft({
+            minutes: (session.durationSeconds / 60).toFixed(1),
+            form: session.form ?? "",
+            notes: session.notes ?? "",
+        });
+    };
+
+    const saveEdit = (session) => {
+        const minutes = parseFloat(draft.minutes);
+        if (isNaN(minutes) || minutes < 0) {
+            console.warn("Invalid session minutes entered:", draft.minutes);
+            return;
+        }
+        setEditingId(null);
+        onUpdate({
+            ...withDuration(session, Math.round(minutes * 60)),
+            form: draft.form || null,
+            notes: draft.notes,
+        });
+    };
+
+    if (sessions.length === 0) {
+        return (
+            <div className="text-sm text-stone-500 italic">
+                No sessions recorded for this day.
+            </div>
+        );
+    }
+
+    return (
+        <ul className="space-y-1 text-sm text-stone-700">
+            {sessions.map((session, index) => (
+                <li key={session.id} className="flex items-center gap-3">
+                    <span className="w-6 text-stone-400">#{index + 1}</span>
+                    <span className="w-40">
+                        {formatClock(session.startedAt)} –{" "}
+                        {formatClock(session.endedAt)}
+                    </span>
+                    {editingId === session.id ? (
+                        <>
+                            <input
+                                type="number"
+                                min="0"
+                                step="0.5"
+                                value={draft.minutes}
+                                onChange={(e) =>
+                                    setDraft({
+                                        ...draft,
+                                        minutes: e.target.value,
+                                    })
+                                }
+                                className="w-20 rounded-md border border-stone-300 p-1"
+                                autoFocus
+                            />
+                            <select
+                                value={draft.form}
+                                onChange={(e) =>
+                                    setDraft({ ...draft, form: e.target.value })
+                                }
+                                className="rounded-md border border-stone-300 p-1"
+                            >
+                                <option value="">No form</option>
+                                {forms.map((form) => (
+                                    <option key={form.id} value={form.id}>
+                                        {form.name}
+                                    </option>
+                                ))}
+                            </select>
+                            <input
+                                type="text"
+                                placeholder="Notes"
+                                value={draft.notes}
+                                onChange={(e) =>
+                                    setDraft({ ...draft, notes: e.target.value })
+                                }
+                                onKeyDown={(e) => {
+                                    if (e.key === "Enter") saveEdit(session);
+                                    if (e.key === "Escape") setEditingId(null);
+                                }}
+                                className="flex-1 rounded-md border border-stone-300 p-1"
+                            />
+                            <button
+                                onClick={() => saveEdit(session)}
+                                className="text-teal-700 hover:text-teal-900"
+                            >
+                                Save
+                            </button>
+                            <button
+                                onClick={() => setEditingId(null)}
+                                className="text-stone-500 hover:text-stone-700"
+                            >
+                                Cancel
+                            </button>
+                        </>
+                    ) : (
+                        <>
+                            <span className="w-20">
+                                {Math.round(session.durationSeconds / 60)} min
+                            </span>
+                            {session.sleptSeconds > 0 && (
+                                <span
+                                    className="text-amber-600"
+                                    title={`The device seemed to be asleep for about ${Math.round(
+                                        session.sleptSeconds / 60
+                                    )} min of this session`}
+                                >
+                                    ⚠️
+                                </span>
+                            )}
+                            {overtimeSeconds(session) >= 60 && (
+                                <span
+                                    className="text-orange-700"
+                                    title={`Target: ${Math.round(
+                                        session.targetSeconds / 60
+                                    )} min`}
+                                >
+                                    +{Math.round(overtimeSeconds(session) / 60)}{" "}
+                                    min overtime
+                                </span>
+                            )}
+                            {session.form && (
+                                <span className="text-teal-700">
+                                    {formName(forms, session.form)}
+                                </span>
+                            )}
+                            <span className="flex-1 italic text-stone-500">
+                                {session.notes}
+                            </span>
+                            <button
+                                onClick={() => startEditing(session)}
+                                className="text-teal-700 hover:text-teal-900"
+                                title="Edit session"
+                            >
+                                ✏️
+                            </button>
+                            <button
+                                onClick={() => onDelete(session)}
+                                className="text-red-500 hover:text-red-700"
+                                title="Delete session"
+                            >
+                                🗑️
+                            </button>
+                        </>
+                    )}
+                </li>
+            ))}
+        </ul>
+    );
+};
+
+export default SessionList;
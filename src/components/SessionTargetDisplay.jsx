@@ -0,0 +1,60 @@
+import React from "react";
+import { formatTimer } from "./timerFormat";
+
+const RADIUS = 54;
+const CIRCUMFERENCE = 2 * Math.PI * RADIUS;
+
+// Progress ring for a session with a target length: time remaining inside
+// the ring, then overtime once the target has passed
+const SessionTargetDisplay = ({ targetSeconds, elapsed }) => {
+    const progress = Math.min(1, elapsed / targetSeconds);
+    const reached = elapsed >= targetSeconds;
+
+    return (
+        <div className="flex flex-col items-center">
+            <div className="relative w-40 h-40">
+                <svg viewBox="0 0 120 120" className="w-full h-full -rotate-90">
+                    <circle
+                        cx="60"
+                        cy="60"
+                        r={RADIUS}
+                        fill="none"
+                        strokeWidth="8"
+                        className="stroke-stone-200"
+                    />
+                    <circle
+                        cx="60"
+                        cy="60"
+                        r={RADIUS}
+                        fill="none"
+                        strokeWidth="8"
+                        strokeLinecap="round"
+                        strokeDasharray={CIRCUMFERENCE}
+                        strokeDashoffset={CIRCUMFERENCE * (1 - progress)}
+                        className={`transition-all duration-1000 ${
+                            reached ? "stroke-emerald-500" : "stroke-teal-500"
+                        }`}
+                    />
+                </svg>
+                <div className="absolute inset-0 flex flex-col items-center justify-center">
+                    <div
+                        className={`text-3xl font-mono font-semibold ${
+                            reached ? "text-orange-600" : "text-emerald-700"
+                        }`}
+                    >
+                        {reached
+                            ? `+${formatTimer(elapsed - targetSeconds)}`
+                            : formatTimer(targetSeconds - elapsed)}
+                    </div>
+                    <div className="text-xs text-stone-500">
+                        {reached
+                            ? "overtime"
+                            : `of ${Math.round(targetSeconds / 60)} min`}
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default SessionTargetDisplay;
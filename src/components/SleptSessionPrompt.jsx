@@ -0,0 +1,62 @@
+import React, { useState } from "react";
+
+// Shown when a session ends after the device seemed to sleep during it: the
+// timer kept counting, so the user confirms or trims what gets recorded.
+// `session` is the held timer record (see activeTimer.js).
+const SleptSessionPrompt = ({ session, onCommit, onDiscard }) => {
+    const recordedMinutes = Math.round(
+        (session.endTime - session.startTime) / 60000
+    );
+    const sleptMinutes = Math.round(session.sleptSeconds / 60);
+    const trimmedMinutes = Math.max(0, recordedMinutes - sleptMinutes);
+    const [minutes, setMinutes] = useState(String(trimmedMinutes));
+    const parsedMinutes = parseInt(minutes, 10);
+    const canCommit =
+        !isNaN(parsedMinutes) &&
+        parsedMinutes > 0 &&
+        parsedMinutes <= recordedMinutes;
+
+    return (
+        <div className="mb-6 border border-amber-300 bg-amber-50 rounded-lg p-4 shadow-sm text-sm text-amber-900">
+            <div className="font-semibold mb-1">
+                The device seemed to be asleep for about {sleptMinutes} min of
+                this {recordedMinutes} min Day {session.day} session.
+            </div>
+            <div className="mb-3">
+                Keep the full time if you kept practicing, or save only the
+                minutes you are sure of.
+            </div>
+            <div className="flex flex-wrap gap-2 items-center">
+                <button
+                    onClick={() => onCommit(recordedMinutes)}
+                    className="bg-emerald-600 hover:bg-emerald-700 text-white font-medium py-1 px-3 rounded"
+                >
+                    Keep {recordedMinutes} min
+                </button>
+                <input
+                    type="number"
+                    min="1"
+                    max={recordedMinutes}
+                    value={minutes}
+                    onChange={(e) => setMinutes(e.target.value)}
+                    className="w-20 rounded-md border border-stone-300 p-1"
+                />
+                <button
+                    onClick={() => onCommit(parsedMinutes)}
+                    disabled={!canCommit}
+                    className="bg-teal-600 hover:bg-teal-700 disabled:bg-stone-300 text-white font-medium py-1 px-3 rounded"
+                >
+                    Save {canCommit ? parsedMinutes : ""} min
+                </button>
+                <button
+                    onClick={onDiscard}
+                    className="bg-red-600 hover:bg-red-700 text-white font-medium py-1 px-3 rounded"
+                >
+                    Discard
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default SleptSessionPrompt;
@@ -0,0 +1,64 @@
+import React, { useState } from "react";
+import { elapsedSeconds } from "../activeTimer";
+
+// Shown on load when a persisted timer has been running implausibly long,
+// e.g. the tab was closed mid-practice and reopened the next day
+const StaleTimerPrompt = ({ timer, onResume, onDiscard, onCommit }) => {
+    const runningMinutes = Math.floor(elapsedSeconds(timer) / 60);
+    const [minutes, setMinutes] = useState(String(runningMinutes));
+    const parsedMinutes = parseInt(minutes, 10);
+    const canCommit =
+        !isNaN(parsedMinutes) &&
+        parsedMinutes > 0 &&
+        parsedMinutes <= runningMinutes;
+
+    return (
+        <div className="mb-6 border border-amber-300 bg-amber-50 rounded-lg p-4 shadow-sm text-sm text-amber-900">
+            <div className="font-semibold mb-1">
+                A Day {timer.day} session has been running since{" "}
+                {new Date(timer.startTime).toLocaleString("en-US", {
+                    month: "short",
+                    day: "numeric",
+                    hour: "numeric",
+                    minute: "2-digit",
+                })}{" "}
+                ({Math.floor(runningMinutes / 60)}h {runningMinutes % 60}m).
+            </div>
+            <div className="mb-3">
+                Was it left running? Save it with the minutes you actually
+                practiced, discard it, or keep the timer going.
+            </div>
+            <div className="flex flex-wrap gap-2 items-center">
+                <input
+                    type="number"
+                    min="1"
+                    max={runningMinutes}
+                    value={minutes}
+                    onChange={(e) => setMinutes(e.target.value)}
+                    className="w-20 rounded-md border border-stone-300 p-1"
+                />
+                <button
+                    onClick={() => onCommit(parsedMinutes)}
+                    disabled={!canCommit}
+                    className="bg-emerald-600 hover:bg-emerald-700 disabled:bg-stone-300 text-white font-medium py-1 px-3 rounded"
+                >
+                    Save {canCommit ? parsedMinutes : ""} min
+                </button>
+                <button
+                    onClick={onDiscard}
+                    className="bg-red-600 hover:bg-red-700 text-white font-medium py-1 px-3 rounded"
+                >
+                    Discard
+                </button>
+                <button
+                    onClick={onResume}
+                    className="bg-stone-500 hover:bg-stone-600 text-white font-medium py-1 px-3 rounded"
+                >
+                    Resume Timer
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default StaleTimerPrompt;
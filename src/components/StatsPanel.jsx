@@ -0,0 +1,78 @@
+import React from "react";
+import { computeStats } from "../stats";
+
+const Stat = ({ label, value, detail }) => (
+    <div className="bg-stone-50 rounded p-2">
+        <div className="text-xs text-stone-500">{label}</div>
+        <div className="text-lg font-semibold text-stone-800">{value}</div>
+        {detail && <div className="text-xs text-stone-500">{detail}</div>}
+    </div>
+);
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? "" : "s"}`;
+
+// Streaks, averages and totals derived from the log. Computed on every
+// render, so it follows committed sessions and history edits directly.
+// `today` is today's day number, where the recent windows end.
+const StatsPanel = ({ log, today }) => {
+    if (log.length === 0) return null;
+    const stats = computeStats(log, today);
+
+    return (
+        <div className="mb-6 border border-stone-200 rounded-lg p-4 shadow-sm">
+            <h2 className="text-lg font-semibold mb-3 text-stone-700">
+                Statistics
+            </h2>
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+                <Stat
+                    label="Current streak"
+                    value={plural(stats.currentStreak, "day")}
+                />
+                <Stat
+                    label="Longest streak"
+                    value={plural(stats.longestStreak, "day")}
+                />
+                <Stat
+                    label="Longest skip run"
+                    value={plural(stats.longestSkipRun, "day")}
+                />
+                <Stat
+                    label="Adherence"
+                    value={`${stats.overall.adherence}%`}
+                    detail={`${stats.overall.practiceDays} of ${plural(
+                        stats.overall.days,
+                        "day"
+                    )}`}
+                />
+                <Stat
+                    label="Total practice"
+                    value={`${stats.overall.totalMinutes} min`}
+                    detail={`${stats.overall.averageMinutes} min/day on average`}
+                />
+                {stats.windows.map((window) => (
+                    <Stat
+                        key={window.length}
+                        label={`Last ${window.length} days`}
+                        value={`${window.averageMinutes} min/day`}
+                        detail={`${window.totalMinutes} min · ${window.adherence}% practiced`}
+                    />
+                ))}
+                <Stat
+                    label="Best single-day gain"
+                    value={
+                        stats.bestGain
+                            ? `+${stats.bestGain.gain.toFixed(2)}`
+                            : "—"
+                    }
+                    detail={stats.bestGain && `Day ${stats.bestGain.day}`}
+                />
+                <Stat
+                    label="Energy lost to skips"
+                    value={`-${stats.energyLostToSkips.toFixed(2)}`}
+                />
+            </div>
+        </div>
+    );
+};
+
+export default StatsPanel;
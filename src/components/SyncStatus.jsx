@@ -0,0 +1,93 @@
+import React, { useState, useEffect } from "react";
+
+// Banner for writes still waiting in the offline outbox (see storage/outbox.js).
+// Renders nothing for stores without an outbox or when everything is synced.
+const SyncStatus = ({ storage, onResolved }) => {
+    const [status, setStatus] = useState(() => storage.getStatus?.() ?? null);
+
+    useEffect(() => {
+        if (!storage.subscribe) return undefined;
+        return storage.subscribe(setStatus);
+    }, [storage]);
+
+    if (!status || (status.pending === 0 && !status.conflict)) return null;
+
+    const resolve = async (choice) => {
+        await storage.resolveConflict(choice);
+        onResolved?.();
+    };
+
+    const resolveRejected = async (choice) => {
+        await storage.resolveRejected(choice);
+        onResolved?.();
+    };
+
+    if (status.rejected) {
+        return (
+            <div className="mb-6 border border-red-300 bg-red-50 rounded-lg p-4 shadow-sm text-sm text-red-800">
+                <div className="font-semibold mb-1">
+                    The server rejected {status.rejected.description}; later
+                    changes wait until it is retried or discarded.
+                </div>
+                <div className="mb-2">{status.rejected.message}</div>
+                <div className="flex gap-2">
+                    <button
+                        onClick={() => resolveRejected("retry")}
+                        className="bg-red-600 hover:bg-red-700 text-white font-medium py-1 px-3 rounded"
+                    >
+                        Retry
+                    </button>
+                    <button
+                        onClick={() => resolveRejected("discard")}
+                        className="bg-stone-500 hover:bg-stone-600 text-white font-medium py-1 px-3 rounded"
+                    >
+                        Discard this change
+                    </button>
+                </div>
+            </div>
+        );
+    }
+
+    if (status.conflict) {
+        const days = status.conflict.days.join(", ");
+        return (
+            <div className="mb-6 border border-red-300 bg-red-50 rounded-lg p-4 shadow-sm text-sm text-red-800">
+                <div className="font-semibold mb-2">
+                    Day {days} changed on the server since your unsynced edit.
+                </div>
+                <div className="flex gap-2">
+                    <button
+                        onClick={() => resolve("mine")}
+                        className="bg-red-600 hover:bg-red-700 text-white font-medium py-1 px-3 rounded"
+                    >
+                        Keep my version
+                    </button>
+                    <button
+                        onClick={() => resolve("theirs")}
+                        className="bg-stone-500 hover:bg-stone-600 text-white font-medium py-1 px-3 rounded"
+                    >
+                        Use server version
+                    </button>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="mb-6 border border-amber-300 bg-amber-50 rounded-lg p-3 shadow-sm text-sm text-amber-800 flex items-center justify-between">
+            <span>
+                {status.pending} unsynced change
+                {status.pending === 1 ? "" : "s"}
+                {status.lastError && " (offline, will retry)"}
+            </span>
+            <button
+                onClick={() => storage.flush()}
+                className="bg-amber-600 hover:bg-amber-700 text-white font-medium py-1 px-3 rounded"
+            >
+                Sync now
+            </button>
+        </div>
+    );
+};
+
+export default SyncStatus;
@@ -0,0 +1,30 @@
+import React from "react";
+
+// Undo/Redo buttons for history edits (also bound to Ctrl+Z / Ctrl+Shift+Z).
+// Hidden until there is something to undo or redo.
+const UndoRedoBar = ({ undoLabel, redoLabel, disabled, onUndo, onRedo }) => {
+    if (!undoLabel && !redoLabel) return null;
+
+    return (
+        <div className="mb-6 flex items-center justify-end gap-2 text-sm">
+            <button
+                onClick={onUndo}
+                disabled={disabled || !undoLabel}
+                className="bg-stone-200 hover:bg-stone-300 disabled:opacity-50 text-stone-800 font-medium py-1 px-3 rounded"
+                title={undoLabel ? `Undo: ${undoLabel} (Ctrl+Z)` : ""}
+            >
+                ↶ Undo
+            </button>
+            <button
+                onClick={onRedo}
+                disabled={disabled || !redoLabel}
+                className="bg-stone-200 hover:bg-stone-300 disabled:opacity-50 text-stone-800 font-medium py-1 px-3 rounded"
+                title={redoLabel ? `Redo: ${redoLabel} (Ctrl+Shift+Z)` : ""}
+            >
+                ↷ Redo
+            </button>
+        </div>
+    );
+};
+
+export default UndoRedoBar;
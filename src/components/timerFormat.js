@@ -0,0 +1,12 @@
+// Clock-style text for timer durations in whole seconds: "m:ss", or
+// "h:mm:ss" once an hour has passed. Shared by every timer display.
+const pad = (value) => String(value).padStart(2, "0");
+
+export const formatTimer = (totalSeconds) => {
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = Math.floor(totalSeconds % 60);
+    return hours > 0
+        ? `${hours}:${pad(minutes)}:${pad(seconds)}`
+        : `${minutes}:${pad(seconds)}`;
+};
@@ -0,0 +1,55 @@
+// Calendar helpers. Dates are ISO "YYYY-MM-DD" strings in the user's local
+// time zone, and day 1 of the tracker falls on the configured start date.
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const pad = (value) => value.toString().padStart(2, "0");
+
+export const parseDate = (iso) => {
+    const [year, month, day] = iso.split("-").map(Number);
+    return new Date(year, month - 1, day);
+};
+
+export const toISODate = (date) =>
+    `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+export const todayISO = () => toISODate(new Date());
+
+export const addDays = (iso, count) => {
+    const date = parseDate(iso);
+    date.setDate(date.getDate() + count);
+    return toISODate(date);
+};
+
+// Whole days from one date to another (rounded to absorb DST shifts)
+export const daysBetween = (fromIso, toIso) =>
+    Math.round((parseDate(toIso) - parseDate(fromIso)) / MS_PER_DAY);
+
+// Sunday of the week `iso` falls in
+export const startOfWeek = (iso) => addDays(iso, -parseDate(iso).getDay());
+
+export const dateForDay = (startDate, day) => addDays(startDate, day - 1);
+
+export const dayForDate = (startDate, iso) => daysBetween(startDate, iso) + 1;
+
+export const formatDate = (iso) =>
+    parseDate(iso).toLocaleDateString("en-US", {
+        month: "short",
+        day: "numeric",
+        year: "numeric",
+    });
+
+// Day numbers after the last logged day whose date is already in the past.
+// Today itself is not included: it can still be practiced.
+export const findMissedDays = (
+    lastLoggedDay,
+    startDate,
+    today = todayISO()
+) => {
+    const todayDay = dayForDate(startDate, today);
+    const missed = [];
+    for (let day = lastLoggedDay + 1; day < todayDay; day++) {
+        missed.push(day);
+    }
+    return missed;
+};
@@ -0,0 +1,291 @@
+// Energy model: pure functions describing how one day of practice (or a
+// skipped day) changes the energy level. Nothing here touches React state or
+// Supabase, so models can be swapped by name and checked on their own.
+
+export const DEFAULT_PARAMS = {
+    model: "compounding",
+    initialEnergy: 1, // Start with 1 energy point
+    dailyEnergyLoss: 0.1, // 10% loss on skipped days
+    pointsPerMinute: 0.0275, // Linear model: 3600 minutes → +99 points
+    capacity: 500, // Saturating model: growth flattens out near this level
+    formMultipliers: {}, // Practice form id → intensity coefficient
+    gapPolicy: "decay", // "decay": days missing from the log count as skipped
+    decayPolicy: "flat", // How skipped days lose energy, see DECAY_POLICIES
+    escalationStep: 0.05, // Escalating: extra loss per consecutive skip
+    maxDailyLoss: 0.5, // Escalating: cap on one day's loss
+    graceDays: 2, // Grace: consecutive skips that cost nothing
+    floorEnergy: 10, // Floor: skipping never takes energy below this
+    halfLifeDays: 7, // Half-life: days for the gain above the start to halve
+    restDecay: 0, // Share of a skipped day's loss a planned rest day costs
+};
+
+const round = (value, digits) => parseFloat(value.toFixed(digits));
+
+// Based on testing with true compounding, this formula ensures:
+// 90 days @ 40min → approximately 100 energy points
+// 30 days @ 120min → approximately 100 energy points
+const compoundingFactor = (minutes) => {
+    const baseValue = 0.995776;
+    const minuteMultiplier = 0.001418;
+    return baseValue + minutes * minuteMultiplier;
+};
+
+// Each model maps (minutes, energy at start of day, params) to the factor the
+// day's starting energy is multiplied by.
+export const MODELS = {
+    compounding: {
+        label: "Compounding",
+        growthFactor: (minutes) => compoundingFactor(minutes),
+    },
+    linear: {
+        label: "Linear",
+        // Fixed points per minute, independent of the current level. There
+        // is no factor that scales 0 up, so an empty level stays put.
+        growthFactor: (minutes, energy, params) =>
+            energy > 0
+                ? (energy + minutes * params.pointsPerMinute) / energy
+                : 1,
+    },
+    saturating: {
+        label: "Saturating",
+        // Compounding rate scaled down as energy approaches capacity
+        growthFactor: (minutes, energy, params) =>
+            1 +
+            (compoundingFactor(minutes) - 1) *
+                Math.max(0, 1 - energy / params.capacity),
+    },
+};
+
+// Each policy maps (energy at start of day, position of the day in a run of
+// consecutive skips starting at 1, params) to the energy the day loses.
+export const DECAY_POLICIES = {
+    flat: {
+        label: "Flat",
+        description: "Every skipped day loses the same share of energy.",
+        loss: (energy, run, params) => energy * params.dailyEnergyLoss,
+    },
+    escalating: {
+        label: "Escalating",
+        description:
+            "Each consecutive skipped day loses a larger share than the last.",
+        loss: (energy, run, params) =>
+            energy *
+            Math.min(
+                params.maxDailyLoss,
+                params.dailyEnergyLoss + params.escalationStep * (run - 1)
+            ),
+    },
+    grace: {
+        label: "Grace period",
+        description:
+            "The first skipped days in a row are free; decay starts after.",
+        loss: (energy, run, params) =>
+            run <= params.graceDays ? 0 : energy * params.dailyEnergyLoss,
+    },
+    floor: {
+        label: "Floor",
+        description: "Skipped days lose energy down to a floor, never below.",
+        loss: (energy, run, params) =>
+            Math.max(
+                0,
+                Math.min(
+                    energy * params.dailyEnergyLoss,
+                    energy - params.floorEnergy
+                )
+            ),
+    },
+    halfLife: {
+        label: "Half-life",
+        description:
+            "Energy gained above the starting level halves over a fixed number of skipped days.",
+        loss: (energy, run, params) =>
+            Math.max(0, energy - params.initialEnergy) *
+            (1 - 0.5 ** (1 / params.halfLifeDays)),
+    },
+};
+
+export const resolveParams = (params = {}) => ({
+    ...DEFAULT_PARAMS,
+    ...params,
+});
+
+export const getModel = (name) => {
+    const model = MODELS[name];
+    if (!model) {
+        throw new Error(`Unknown energy model: ${name}`);
+    }
+    return model;
+};
+
+export const getDecayPolicy = (name) => {
+    const policy = DECAY_POLICIES[name];
+    if (!policy) {
+        throw new Error(`Unknown decay policy: ${name}`);
+    }
+    return policy;
+};
+
+// Energy lost by a skipped day starting at `energy`, the `run`-th skip in a row
+export const skippedDayLoss = (energy, run, params = {}) => {
+    const resolved = resolveParams(params);
+    return getDecayPolicy(resolved.decayPolicy).loss(energy, run, resolved);
+};
+
+// Growth factor a practice of `minutes` would apply to `energy` today
+export const growthFactorFor = (minutes, energy, params = {}) => {
+    const resolved = resolveParams(params);
+    return getModel(resolved.model).growthFactor(minutes, energy, resolved);
+};
+
+// Minutes weighted by the intensity of the forms practiced that day.
+// entry.formMinutes maps form ids to minutes; minutes outside that breakdown
+// (and forms without a multiplier) count at 1x.
+export const effectiveMinutes = (entry, params = {}) => {
+    if (!entry.formMinutes) return entry.minutes;
+    const multipliers = resolveParams(params).formMultipliers;
+    let trackedMinutes = 0;
+    let weightedMinutes = 0;
+    Object.entries(entry.formMinutes).forEach(([form, minutes]) => {
+        trackedMinutes += minutes;
+        weightedMinutes += minutes * (multipliers[form] ?? 1);
+    });
+    return weightedMinutes + Math.max(0, entry.minutes - trackedMinutes);
+};
+
+// The state a day starts from: energy, and how many skipped days in a row
+// came right before it (excused and rest days neither count nor break the
+// run).
+// `day` is the last day it covers.
+const initialState = (resolved) => ({
+    day: 0,
+    energy: resolved.initialEnergy,
+    skipRun: 0,
+});
+
+const stateAfter = (state, entry) => ({
+    day: entry.day,
+    energy: entry.energy,
+    skipRun: entry.practice
+        ? 0
+        : entry.excused || entry.rest
+        ? state.skipRun
+        : state.skipRun + 1,
+});
+
+// Carry `state` across the days absent from the log before `day`. Under the
+// "decay" gap policy each one is a skipped day; otherwise (renumbered or
+// excused history) gaps are neutral.
+const carryAcrossGap = (state, day, resolved) => {
+    if (resolved.gapPolicy !== "decay") return state;
+    let { energy, skipRun } = state;
+    for (let missing = state.day + 1; missing < day; missing++) {
+        skipRun += 1;
+        energy = round(energy - skippedDayLoss(energy, skipRun, resolved), 2);
+    }
+    return { day: Math.max(state.day, day - 1), energy, skipRun };
+};
+
+// Energy and preceding skip run at the start of `day`, from the stored log
+export const stateBefore = (log, day, params = {}) => {
+    const resolved = resolveParams(params);
+    let state = initialState(resolved);
+    for (const entry of log) {
+        if (entry.day >= day) break;
+        state = stateAfter(carryAcrossGap(state, entry.day, resolved), entry);
+    }
+    const { energy, skipRun } = carryAcrossGap(state, day, resolved);
+    return { energy, skipRun };
+};
+
+// Energy at the start of `day`: the end of the last logged day before it,
+// carried across any gap in between
+export const energyBefore = (log, day, params = {}) =>
+    stateBefore(log, day, params).energy;
+
+// Compute one day's log entry from the energy at the end of the previous day
+// and the number of skipped days in a row just before it (see stateBefore).
+// Returns a copy of `entry` with energy, gain, loss and growthFactor filled in.
+export const applyDay = (prevEnergy, entry, params = {}, skipRun = 0) => {
+    const resolved = resolveParams(params);
+
+    // Excused days neither gain nor lose energy
+    if (entry.excused) {
+        return {
+            ...entry,
+            practice: false,
+            rest: false,
+            minutes: 0,
+            energy: round(prevEnergy, 2),
+            gain: null,
+            loss: null,
+            growthFactor: null,
+        };
+    }
+
+    // Planned rest days cost a share of what a first skipped day would
+    if (entry.rest) {
+        const energyLoss =
+            skippedDayLoss(prevEnergy, 1, resolved) * resolved.restDecay;
+        return {
+            ...entry,
+            practice: false,
+            excused: false,
+            minutes: 0,
+            energy: round(prevEnergy - energyLoss, 2),
+            loss: round(energyLoss, 2),
+            gain: null,
+            growthFactor: null,
+        };
+    }
+
+    if (entry.practice) {
+        const growthFactor = growthFactorFor(
+            effectiveMinutes(entry, resolved),
+            prevEnergy,
+            resolved
+        );
+        const newEnergy = prevEnergy * growthFactor;
+        return {
+            ...entry,
+            // Always set, so batched upserts share columns
+            excused: false,
+            rest: false,
+            energy: round(newEnergy, 2),
+            gain: round(newEnergy - prevEnergy, 2),
+            growthFactor: round(growthFactor, 6),
+            loss: null, // Practice day means no loss
+        };
+    }
+
+    const energyLoss = skippedDayLoss(prevEnergy, skipRun + 1, resolved);
+    return {
+        ...entry,
+        excused: false,
+        rest: false,
+        energy: round(prevEnergy - energyLoss, 2),
+        loss: round(energyLoss, 2),
+        gain: null,
+        growthFactor: null,
+    };
+};
+
+// Recompute every entry from `fromIndex` onward, chaining each day off the
+// stored energy of the day before (across gaps per the gap policy). Entries
+// before `fromIndex` are kept as-is.
+export const replay = (log, params = {}, fromIndex = 0) => {
+    const resolved = resolveParams(params);
+    const replayed = log.slice(0, fromIndex);
+    let state = initialState(resolved);
+    replayed.forEach((entry) => {
+        state = stateAfter(carryAcrossGap(state, entry.day, resolved), entry);
+    });
+
+    for (let i = fromIndex; i < log.length; i++) {
+        const start = carryAcrossGap(state, log[i].day, resolved);
+        const entry = applyDay(start.energy, log[i], resolved, start.skipRun);
+        replayed.push(entry);
+        state = stateAfter(start, entry);
+    }
+
+    return replayed;
+};
@@ -0,0 +1,50 @@
+// Practice-form catalog. Each form carries an intensity multiplier that
+// weights its minutes in the energy model (see effectiveMinutes). The
+// catalog is user-editable and saved in the tracker settings.
+
+export const DEFAULT_FORMS = [
+    { id: "standing", name: "Standing Meditation", multiplier: 1 },
+    { id: "baduanjin", name: "Baduanjin", multiplier: 1 },
+    { id: "moving", name: "Moving Form", multiplier: 1 },
+];
+
+export const formName = (forms, id) =>
+    forms.find((form) => form.id === id)?.name ?? id;
+
+export const multipliersFor = (forms) =>
+    Object.fromEntries(forms.map((form) => [form.id, form.multiplier]));
+
+// Minutes per form across a day's sessions, or null if none has a form
+export const formMinutesFromSessions = (sessions) => {
+    const breakdown = {};
+    sessions.forEach((session) => {
+        if (!session.form) return;
+        breakdown[session.form] =
+            (breakdown[session.form] ?? 0) + session.durationSeconds / 60;
+    });
+    const forms = Object.keys(breakdown);
+    if (forms.length === 0) return null;
+    forms.forEach((form) => {
+        breakdown[form] = parseFloat(breakdown[form].toFixed(1));
+    });
+    return breakdown;
+};
+
+// A day's breakdown rescaled to a new total, keeping the mix of forms
+export const scaleFormMinutes = (formMinutes, fromMinutes, toMinutes) => {
+    if (!formMinutes || !fromMinutes) return null;
+    return Object.fromEntries(
+        Object.entries(formMinutes).map(([form, minutes]) => [
+            form,
+            parseFloat(((minutes * toMinutes) / fromMinutes).toFixed(1)),
+        ])
+    );
+};
+
+// Readable list of the forms practiced on a day, e.g. "Baduanjin, Moving Form"
+export const describeForms = (forms, formMinutes) =>
+    formMinutes
+        ? Object.keys(formMinutes)
+              .map((id) => formName(forms, id))
+              .join(", ")
+        : "";
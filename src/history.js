@@ -0,0 +1,383 @@
+// Export and import of the full practice history. Exports carry the computed
+// energy columns for reference, but imports only trust the inputs (day, date,
+// practice, minutes, form breakdown); energy is always replayed afterwards.
+import { dateForDay, parseDate, toISODate } from "./dates";
+
+export const CSV_COLUMNS = [
+    "day",
+    "date",
+    "practice",
+    "excused",
+    "rest",
+    "minutes",
+    "gain",
+    "loss",
+    "growthFactor",
+    "energy",
+    "forms",
+    "notes",
+];
+
+const EXPORT_VERSION = 1;
+
+// --- Export ---
+
+const csvField = (value) => {
+    if (value === null || value === undefined) return "";
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// "baduanjin:20;standing:10"
+const formatFormMinutes = (formMinutes) =>
+    formMinutes
+        ? Object.entries(formMinutes)
+              .map(([form, minutes]) => `${form}:${minutes}`)
+              .join(";")
+        : "";
+
+const notesForDay = (sessions, day) =>
+    sessions
+        .filter((session) => session.day === day && session.notes)
+        .map((session) => session.notes)
+        .join(" | ");
+
+export const historyToCSV = (log, sessions = []) => {
+    const rows = log.map((entry) =>
+        [
+            entry.day,
+            entry.date,
+            entry.practice,
+            entry.excused ?? false,
+            entry.rest ?? false,
+            entry.minutes,
+            entry.gain,
+            entry.loss,
+            entry.growthFactor,
+            entry.energy,
+            formatFormMinutes(entry.formMinutes),
+            notesForDay(sessions, entry.day),
+        ]
+            .map(csvField)
+            .join(",")
+    );
+    return [CSV_COLUMNS.join(","), ...rows].join("\n") + "\n";
+};
+
+export const historyToJSON = (log, sessions = []) =>
+    JSON.stringify(
+        {
+            version: EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            log,
+            sessions,
+        },
+        null,
+        2
+    );
+
+// --- Import ---
+
+// Splits CSV text into rows of fields, honouring quoted fields
+const parseCSV = (text) => {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ",") {
+            row.push(field);
+            field = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && text[i + 1] === "\n") i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = "";
+        } else {
+            field += char;
+        }
+    }
+    if (field !== "" || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter((fields) => fields.some((value) => value.trim()));
+};
+
+const parseBoolean = (value) => {
+    if (typeof value === "boolean") return value;
+    const text = String(value ?? "")
+        .trim()
+        .toLowerCase();
+    if (["true", "yes", "1"].includes(text)) return true;
+    if (["false", "no", "0"].includes(text)) return false;
+    return null;
+};
+
+const optionalFlag = (value) =>
+    value === undefined || value === "" ? false : parseBoolean(value);
+
+const parseFormMinutes = (value) => {
+    if (!value) return null;
+    if (typeof value === "object") {
+        const valid = Object.values(value).every(
+            (minutes) => Number.isFinite(minutes) && minutes >= 0
+        );
+        return valid ? value : undefined;
+    }
+    const breakdown = {};
+    for (const part of value.split(";")) {
+        const [form, minutes] = part.split(":");
+        const parsed = parseFloat(minutes);
+        if (!form?.trim() || isNaN(parsed) || parsed < 0) return undefined;
+        breakdown[form.trim()] = parsed;
+    }
+    return breakdown;
+};
+
+const sumValues = (object) =>
+    Object.values(object).reduce((sum, value) => sum + value, 0);
+
+const isISODate = (value) =>
+    /^\d{4}-\d{2}-\d{2}$/.test(value) && toISODate(parseDate(value)) === value;
+
+// Validate one raw row (from CSV or JSON) into a log entry, or an error
+const toEntry = (raw) => {
+    if (!raw || typeof raw !== "object") return { error: "not a day entry" };
+    const day = Number(raw.day);
+    if (!Number.isInteger(day) || day < 1) {
+        return { error: `invalid day "${raw.day ?? ""}"` };
+    }
+    const practice = parseBoolean(raw.practice);
+    if (practice === null) {
+        return { error: `day ${day}: practice must be true or false` };
+    }
+    // Optional columns, absent from older exports
+    const excused = optionalFlag(raw.excused);
+    if (excused === null || (excused && practice)) {
+        return { error: `day ${day}: invalid excused flag "${raw.excused}"` };
+    }
+    const rest = optionalFlag(raw.rest);
+    if (rest === null || (rest && (practice || excused))) {
+        return { error: `day ${day}: invalid rest flag "${raw.rest}"` };
+    }
+    const minutes = raw.minutes === "" ? 0 : Number(raw.minutes ?? 0);
+    if (!Number.isInteger(minutes) || minutes < 0) {
+        return { error: `day ${day}: invalid minutes "${raw.minutes}"` };
+    }
+    if (practice && minutes < 1) {
+        return { error: `day ${day}: a practice day needs at least 1 minute` };
+    }
+    const date = raw.date ? String(raw.date).trim() : null;
+    if (date && !isISODate(date)) {
+        return { error: `day ${day}: invalid date "${date}"` };
+    }
+    const rawForms = raw.forms ?? raw.formMinutes;
+    const formMinutes = parseFormMinutes(rawForms);
+    if (formMinutes === undefined) {
+        return {
+            error: `day ${day}: invalid form breakdown ${JSON.stringify(
+                rawForms
+            )}`,
+        };
+    }
+    // Form minutes are rounded to a tenth and the day's total to a whole
+    // minute, so only a breakdown that rounds above the total is rejected
+    if (
+        practice &&
+        formMinutes &&
+        Math.round(sumValues(formMinutes)) > minutes
+    ) {
+        return {
+            error: `day ${day}: form breakdown adds up to more than ${minutes} minutes`,
+        };
+    }
+    return {
+        entry: {
+            day,
+            date,
+            practice,
+            excused,
+            rest,
+            minutes: practice ? minutes : 0,
+            formMinutes: practice ? formMinutes : null,
+        },
+    };
+};
+
+const isValidSession = (session) =>
+    typeof session?.id === "string" &&
+    Number.isInteger(session.day) &&
+    !isNaN(Date.parse(session.startedAt)) &&
+    !isNaN(Date.parse(session.endedAt)) &&
+    Number.isFinite(session.durationSeconds) &&
+    session.durationSeconds >= 0;
+
+const rawRowsFromJSON = (text) => {
+    const data = JSON.parse(text);
+    const log = Array.isArray(data) ? data : data?.log;
+    if (!Array.isArray(log)) throw new Error("no \"log\" array found");
+    const sessions = data.sessions ?? [];
+    if (!Array.isArray(sessions)) {
+        throw new Error("\"sessions\" is not an array");
+    }
+    return { rows: log, sessions };
+};
+
+const rawRowsFromCSV = (text) => {
+    const [header, ...lines] = parseCSV(text);
+    const columns = (header ?? []).map((column) => column.trim());
+    ["day", "practice", "minutes"].forEach((column) => {
+        if (!columns.includes(column)) {
+            throw new Error(`missing "${column}" column`);
+        }
+    });
+    const rows = lines.map((fields) =>
+        Object.fromEntries(
+            columns.map((column, index) => [column, fields[index] ?? ""])
+        )
+    );
+    return { rows, sessions: [] };
+};
+
+// Parse an exported file. Returns { entries, sessions, errors }; entries are
+// sorted by day and only usable when errors is empty.
+export const parseHistory = (text, fileName = "") => {
+    const isJSON =
+        fileName.toLowerCase().endsWith(".json") ||
+        /^\s*[[{]/.test(text);
+
+    let parsed;
+    try {
+        parsed = isJSON ? rawRowsFromJSON(text) : rawRowsFromCSV(text);
+    } catch (error) {
+        return { entries: [], sessions: [], errors: [error.message] };
+    }
+
+    const errors = [];
+    const byDay = new Map();
+    parsed.rows.forEach((raw, index) => {
+        const { entry, error } = toEntry(raw);
+        if (error) {
+            errors.push(`Row ${index + 1}: ${error}`);
+        } else if (byDay.has(entry.day)) {
+            errors.push(`Row ${index + 1}: day ${entry.day} appears twice`);
+        } else {
+            byDay.set(entry.day, entry);
+        }
+    });
+    if (parsed.rows.length === 0) errors.push("The file contains no days");
+
+    const sessions = parsed.sessions.filter(
+        (session) => isValidSession(session) && byDay.has(session.day)
+    );
+
+    return {
+        entries: [...byDay.values()].sort((a, b) => a.day - b.day),
+        sessions,
+        errors,
+    };
+};
+
+// --- Merge ---
+
+const sameInputs = (a, b) =>
+    a.practice === b.practice &&
+    Boolean(a.excused) === Boolean(b.excused) &&
+    Boolean(a.rest) === Boolean(b.rest) &&
+    a.minutes === b.minutes &&
+    JSON.stringify(a.formMinutes ?? null) ===
+        JSON.stringify(b.formMinutes ?? null);
+
+// Per-day differences between the current log and an import:
+// [{ day, status: "added" | "changed" | "unchanged" | "removed", before, after }]
+// "removed" only occurs when replacing.
+export const diffHistory = (existing, incoming, mode) => {
+    const current = new Map(existing.map((entry) => [entry.day, entry]));
+    const imported = new Map(incoming.map((entry) => [entry.day, entry]));
+    const days = new Set([...current.keys(), ...imported.keys()]);
+
+    return [...days]
+        .sort((a, b) => a - b)
+        .map((day) => {
+            const before = current.get(day) ?? null;
+            const after = imported.get(day) ?? null;
+            if (!after) {
+                return {
+                    day,
+                    status: mode === "replace" ? "removed" : "unchanged",
+                    before,
+                    after: mode === "replace" ? null : before,
+                };
+            }
+            if (!before) return { day, status: "added", before, after };
+            return {
+                day,
+                status: sameInputs(before, after) ? "unchanged" : "changed",
+                before,
+                after,
+            };
+        });
+};
+
+// The log to replay after an import, and the index to replay from.
+// Imported days without a date keep the existing one, or get one from the
+// start date.
+export const mergeHistory = (existing, incoming, mode, startDate) => {
+    const current = new Map(existing.map((entry) => [entry.day, entry]));
+    const rows = new Map(
+        mode === "replace" ? [] : existing.map((entry) => [entry.day, entry])
+    );
+    incoming.forEach((entry) =>
+        rows.set(entry.day, {
+            ...entry,
+            date:
+                entry.date ??
+                current.get(entry.day)?.date ??
+                dateForDay(startDate, entry.day),
+        })
+    );
+    const log = [...rows.values()].sort((a, b) => a.day - b.day);
+
+    if (mode === "replace") return { log, startIndex: 0 };
+
+    const changedDays = diffHistory(existing, incoming, mode)
+        .filter(({ status }) => status !== "unchanged")
+        .map(({ day }) => day);
+    if (changedDays.length === 0) return { log, startIndex: log.length };
+    const earliest = Math.min(...changedDays);
+    return {
+        log,
+        startIndex: log.findIndex((entry) => entry.day === earliest),
+    };
+};
+
+// Existing sessions a merge leaves behind: those on days whose entry the
+// import changes, unless the file brings them along. The imported entry
+// replaces the day, so its old sessions no longer add up to it.
+export const orphanedSessions = (sessions, existing, incoming, imported) => {
+    const replacedDays = new Set(
+        diffHistory(existing, incoming, "merge")
+            .filter(({ status }) => status === "changed")
+            .map(({ day }) => day)
+    );
+    const importedIds = new Set(imported.map((session) => session.id));
+    return sessions.filter(
+        (session) =>
+            replacedDays.has(session.day) && !importedIds.has(session.id)
+    );
+};
@@ -1,10 +1,15 @@
 import React from "react";
 import ReactDOM from "react-dom/client";
 import QigongCalculator from "./QigongCalculator";
+import AuthGate from "./components/AuthGate";
 import "./index.css";
 
 ReactDOM.createRoot(document.getElementById("root")).render(
     <React.StrictMode>
-        <QigongCalculator />
+        <AuthGate>
+            {(user) => (
+                <QigongCalculator key={user?.id ?? "local"} user={user} />
+            )}
+        </AuthGate>
     </React.StrictMode>
 );
@@ -0,0 +1,104 @@
+// Milestone ladder: named energy levels, some of which are marked as goals
+// with their own progress bar. The first time the log reaches a milestone,
+// its id is recorded on that day's entry (entry.milestonesReached), so the
+// date it was crossed is kept with the log. Records are recomputed whenever
+// the log changes, so they always match its energies.
+
+export const DEFAULT_MILESTONES = [
+    {
+        id: "foundation",
+        name: "Building Foundation 🪵",
+        energy: 25,
+        goal: false,
+    },
+    {
+        id: "good",
+        name: "Good Progress 🌲",
+        energy: 50,
+        goal: false,
+    },
+    {
+        id: "excellent",
+        name: "Excellent Progress 🌲✨",
+        energy: 75,
+        goal: false,
+    },
+    {
+        id: "achieved",
+        name: "Goal Achieved! 💫",
+        energy: 100,
+        goal: true,
+    },
+    {
+        id: "mastery",
+        name: "Extraordinary Mastery! 🌟",
+        energy: 150,
+        goal: false,
+    },
+];
+
+// Used when no milestone is marked as a goal
+export const DEFAULT_TARGET = 100;
+
+export const sortMilestones = (milestones) =>
+    [...milestones].sort((a, b) => a.energy - b.energy);
+
+export const activeGoals = (milestones) =>
+    sortMilestones(milestones.filter((milestone) => milestone.goal));
+
+// The goal to aim for now: the lowest goal not yet reached, or the highest
+// goal once all of them are
+export const primaryTarget = (milestones, energy) => {
+    const goals = activeGoals(milestones);
+    if (goals.length === 0) return DEFAULT_TARGET;
+    return (
+        goals.find((goal) => energy < goal.energy) ?? goals[goals.length - 1]
+    ).energy;
+};
+
+// Highest milestone at or below `energy`, or null
+export const highestReached = (milestones, energy) =>
+    sortMilestones(milestones)
+        .filter((milestone) => energy >= milestone.energy)
+        .pop() ?? null;
+
+// Entry on which each milestone was first recorded, keyed by milestone id
+export const crossingsByMilestone = (log) => {
+    const crossings = {};
+    log.forEach((entry) =>
+        (entry.milestonesReached ?? []).forEach((id) => {
+            crossings[id] = crossings[id] ?? entry;
+        })
+    );
+    return crossings;
+};
+
+// Record each milestone on the first entry whose energy reaches it, and
+// drop records that no longer hold once the log was edited or replayed
+// (or the milestone left the ladder). Returns the annotated log and the
+// entries whose records changed.
+export const recordMilestones = (log, milestones) => {
+    const remaining = sortMilestones(milestones);
+    const changed = [];
+    const updatedLog = log.map((entry) => {
+        const crossed = [];
+        while (remaining.length > 0 && entry.energy >= remaining[0].energy) {
+            crossed.push(remaining.shift().id);
+        }
+        const previous = entry.milestonesReached ?? [];
+        if (
+            crossed.length === previous.length &&
+            crossed.every((id) => previous.includes(id))
+        ) {
+            return entry;
+        }
+
+        const updatedEntry = {
+            ...entry,
+            milestonesReached: crossed.length > 0 ? crossed : null,
+        };
+        changed.push(updatedEntry);
+        return updatedEntry;
+    });
+    return { log: updatedLog, changed };
+};
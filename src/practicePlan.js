@@ -0,0 +1,92 @@
+// Forward-looking helpers: run the energy model over a planned schedule
+// instead of the recorded log.
+import { applyDay } from "./energyModel";
+
+// Common practice durations, in minutes
+export const COMMON_DURATIONS = [10, 15, 20, 30, 40, 60, 90, 120];
+
+// How far ahead a forecast looks for the target before giving up
+export const MAX_PROJECTION_DAYS = 730;
+
+// Project energy day by day from `startEnergy`, practicing `minutesPerDay`
+// and skipping a `skipRate` fraction of days. Skips are spread evenly rather
+// than drawn at random, so the forecast is stable between renders.
+// Stops the day the target is reached, or after `maxDays`.
+export const projectEnergy = ({
+    startDay,
+    startEnergy,
+    minutesPerDay,
+    skipRate = 0,
+    target,
+    params,
+    maxDays = MAX_PROJECTION_DAYS,
+}) => {
+    const points = [];
+    let energy = startEnergy;
+    let skipBalance = 0;
+    let skipRun = 0; // Skipped days in a row, for the decay policy
+    let reachedDay = energy >= target ? startDay - 1 : null;
+
+    for (let i = 0; i < maxDays && reachedDay === null; i++) {
+        const day = startDay + i;
+        skipBalance += skipRate;
+        const skipped = skipBalance >= 1 - 1e-9;
+        if (skipped) skipBalance -= 1;
+
+        const entry = applyDay(
+            energy,
+            { day, practice: !skipped, minutes: skipped ? 0 : minutesPerDay },
+            params,
+            skipRun
+        );
+        energy = entry.energy;
+        skipRun = skipped ? skipRun + 1 : 0;
+        points.push({ day, projectedEnergy: energy });
+        if (energy >= target) reachedDay = day;
+    }
+
+    return { points, reachedDay, finalEnergy: energy };
+};
+
+// Longest daily practice the planner will suggest
+export const MAX_DAILY_MINUTES = 240;
+
+// Smallest whole number of daily minutes that reaches `target` within `days`
+// days (skipping a `skipRate` fraction of them), 0 if it is already reached,
+// or null if even MAX_DAILY_MINUTES falls short. Growth rises with minutes
+// in every model, so a binary search finds the minimum.
+export const solveDailyMinutes = ({
+    startDay,
+    startEnergy,
+    target,
+    days,
+    skipRate = 0,
+    params,
+}) => {
+    if (startEnergy >= target) return 0;
+
+    const reaches = (minutes) =>
+        projectEnergy({
+            startDay,
+            startEnergy,
+            minutesPerDay: minutes,
+            skipRate,
+            target,
+            params,
+            maxDays: days,
+        }).reachedDay !== null;
+
+    if (days <= 0 || !reaches(MAX_DAILY_MINUTES)) return null;
+
+    let low = 0; // Known to fall short
+    let high = MAX_DAILY_MINUTES; // Known to reach the target
+    while (high - low > 1) {
+        const mid = Math.floor((low + high) / 2);
+        if (reaches(mid)) {
+            high = mid;
+        } else {
+            low = mid;
+        }
+    }
+    return high;
+};
@@ -0,0 +1,45 @@
+// Guided session routines: a named sequence of timed segments (e.g. warm-up,
+// standing, closing). The practice timer counts down each segment, rings a
+// bell between them and commits the session when the last one ends. Saved in
+// the tracker settings like the form catalog.
+
+export const DEFAULT_ROUTINES = [
+    {
+        id: "standing-30",
+        name: "Standing practice (30 min)",
+        segments: [
+            { id: "warm-up", name: "Warm-up", minutes: 5 },
+            { id: "standing", name: "Standing", minutes: 20 },
+            { id: "closing", name: "Closing", minutes: 5 },
+        ],
+    },
+];
+
+export const routineSeconds = (routine) =>
+    routine.segments.reduce((sum, segment) => sum + segment.minutes * 60, 0);
+
+// Where `elapsed` seconds fall in the routine: the current segment's index,
+// the seconds left in it and in the whole routine. Past the end, index is
+// the number of segments and `done` is set.
+export const routinePosition = (routine, elapsed) => {
+    let segmentEnd = 0;
+    for (let index = 0; index < routine.segments.length; index++) {
+        segmentEnd += routine.segments[index].minutes * 60;
+        if (elapsed < segmentEnd) {
+            return {
+                index,
+                segment: routine.segments[index],
+                segmentRemaining: segmentEnd - elapsed,
+                totalRemaining: routineSeconds(routine) - elapsed,
+                done: false,
+            };
+        }
+    }
+    return {
+        index: routine.segments.length,
+        segment: null,
+        segmentRemaining: 0,
+        totalRemaining: 0,
+        done: true,
+    };
+};
@@ -0,0 +1,82 @@
+// Weekly practice schedule: target minutes for each weekday and the days the
+// teacher prescribes as rest. Rest days are logged as their own activity
+// type and decay only by `restDecay` (see energyModel.js).
+import { addDays, dateForDay, parseDate, startOfWeek } from "./dates";
+
+// Sunday first, matching Date.getDay()
+export const WEEKDAYS = [
+    "Sunday",
+    "Monday",
+    "Tuesday",
+    "Wednesday",
+    "Thursday",
+    "Friday",
+    "Saturday",
+];
+
+export const DEFAULT_SCHEDULE = {
+    days: WEEKDAYS.map(() => ({ minutes: 30, rest: false })),
+    restDecay: 0, // Share of a skipped day's loss a rest day costs
+};
+
+export const plannedDay = (schedule, iso) =>
+    schedule.days[parseDate(iso).getDay()];
+
+export const isRestDay = (schedule, iso) => plannedDay(schedule, iso).rest;
+
+export const plannedMinutes = (schedule, iso) => {
+    const planned = plannedDay(schedule, iso);
+    return planned.rest ? 0 : planned.minutes;
+};
+
+export const weeklyMinutes = (schedule) =>
+    schedule.days.reduce((sum, day) => sum + (day.rest ? 0 : day.minutes), 0);
+
+// Planned against actual practice for each calendar week (Sunday to
+// Saturday) from day 1 to the last logged day, newest first. Weeks are
+// measured against the current schedule; the first and last week only count
+// their tracked days.
+export const weeklyAdherence = (log, schedule, startDate) => {
+    if (log.length === 0) return [];
+    const byDate = new Map(
+        log.map((entry) => [
+            entry.date ?? dateForDay(startDate, entry.day),
+            entry,
+        ])
+    );
+    const lastDate = [...byDate.keys()].sort().pop();
+
+    const weeks = [];
+    for (
+        let weekStart = startOfWeek(startDate);
+        weekStart <= lastDate;
+        weekStart = addDays(weekStart, 7)
+    ) {
+        const week = {
+            weekStart,
+            days: 0,
+            plannedMinutes: 0,
+            actualMinutes: 0,
+            plannedRestDays: 0,
+            restDays: 0,
+            skippedDays: 0,
+        };
+        for (let i = 0; i < 7; i++) {
+            const date = addDays(weekStart, i);
+            if (date < startDate || date > lastDate) continue;
+            const entry = byDate.get(date);
+            week.days += 1;
+            week.plannedMinutes += plannedMinutes(schedule, date);
+            if (isRestDay(schedule, date)) week.plannedRestDays += 1;
+            if (entry?.practice) week.actualMinutes += entry.minutes;
+            else if (entry?.rest) week.restDays += 1;
+            else if (entry && !entry.excused) week.skippedDays += 1;
+        }
+        week.percent =
+            week.plannedMinutes > 0
+                ? Math.round((week.actualMinutes / week.plannedMinutes) * 100)
+                : null;
+        weeks.push(week);
+    }
+    return weeks.reverse();
+};
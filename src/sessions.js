@@ -0,0 +1,49 @@
+// Practice sessions: one record per Start → Pause interval of the timer.
+// A practiced day's minutes are derived from the sessions logged for it.
+// targetSeconds is the length chosen before starting, if any; sleptSeconds
+// flags time the device appeared to be asleep during the session.
+
+export const createSession = ({
+    day,
+    startedAt,
+    endedAt,
+    form = null,
+    notes = "",
+    targetSeconds = null,
+    sleptSeconds = 0,
+}) => ({
+    id: crypto.randomUUID(),
+    day,
+    startedAt: new Date(startedAt).toISOString(),
+    endedAt: new Date(endedAt).toISOString(),
+    durationSeconds: Math.floor((endedAt - startedAt) / 1000),
+    form,
+    notes,
+    targetSeconds,
+    sleptSeconds,
+});
+
+export const sessionsForDay = (sessions, day) =>
+    sessions.filter((session) => session.day === day);
+
+export const totalSeconds = (sessions) =>
+    sessions.reduce((sum, session) => sum + session.durationSeconds, 0);
+
+// Minutes credited to a day: rounded, and at least 1 for any practice
+export const minutesFromSessions = (sessions) =>
+    Math.max(1, Math.round(totalSeconds(sessions) / 60));
+
+// Time practiced past the session's target
+export const overtimeSeconds = (session) =>
+    session.targetSeconds
+        ? Math.max(0, session.durationSeconds - session.targetSeconds)
+        : 0;
+
+// Change a session's length, keeping its start time
+export const withDuration = (session, durationSeconds) => ({
+    ...session,
+    durationSeconds,
+    endedAt: new Date(
+        Date.parse(session.startedAt) + durationSeconds * 1000
+    ).toISOString(),
+});
@@ -0,0 +1,57 @@
+import { DEFAULT_PARAMS } from "./energyModel";
+import { DEFAULT_FORMS, multipliersFor } from "./forms";
+import { DEFAULT_MILESTONES } from "./milestones";
+import { DEFAULT_SCHEDULE } from "./schedule";
+import { DEFAULT_ROUTINES } from "./routines";
+
+// Per-tracker settings, persisted through the storage adapter alongside the
+// log (loadSettings/saveSettings) so they follow the user between devices.
+
+// What deleting a day does to the days after it (see handleDeleteDay)
+export const GAP_POLICIES = [
+    { id: "decay", label: "Leave a gap that decays like a skipped day" },
+    { id: "renumber", label: "Renumber the following days" },
+    { id: "excused", label: "Keep the day as excused (no gain or loss)" },
+];
+
+// How skipped days lose energy: a policy from DECAY_POLICIES in
+// energyModel.js and the tuning the policies read
+export const DEFAULT_DECAY = {
+    policy: DEFAULT_PARAMS.decayPolicy,
+    dailyEnergyLoss: DEFAULT_PARAMS.dailyEnergyLoss,
+    escalationStep: DEFAULT_PARAMS.escalationStep,
+    maxDailyLoss: DEFAULT_PARAMS.maxDailyLoss,
+    graceDays: DEFAULT_PARAMS.graceDays,
+    floorEnergy: DEFAULT_PARAMS.floorEnergy,
+    halfLifeDays: DEFAULT_PARAMS.halfLifeDays,
+};
+
+// Day 1 of logs recorded before start dates were configurable
+export const LEGACY_START_DATE = "2025-03-30";
+
+export const DEFAULT_SETTINGS = {
+    startDate: null, // ISO date of day 1, chosen on first load when unset
+    model: DEFAULT_PARAMS.model, // Growth model, one of MODELS in energyModel.js
+    forms: DEFAULT_FORMS, // Practice-form catalog, see forms.js
+    milestones: DEFAULT_MILESTONES, // Milestone ladder and goals, see milestones.js
+    gapPolicy: "decay", // One of GAP_POLICIES
+    decay: DEFAULT_DECAY, // Skipped-day decay policy and tuning
+    schedule: DEFAULT_SCHEDULE, // Weekly plan and rest days, see schedule.js
+    routines: DEFAULT_ROUTINES, // Guided session routines, see routines.js
+    sessionTarget: { minutes: null, autoCommit: true }, // Timer target length
+    keepScreenAwake: true, // Hold a Screen Wake Lock while practicing
+};
+
+// Energy model parameters implied by the settings
+export const energyParamsFor = (settings) => {
+    const { policy, ...decayParams } = { ...DEFAULT_DECAY, ...settings.decay };
+    return {
+        ...DEFAULT_PARAMS,
+        ...decayParams,
+        model: settings.model ?? DEFAULT_PARAMS.model,
+        decayPolicy: policy,
+        formMultipliers: multipliersFor(settings.forms),
+        gapPolicy: settings.gapPolicy,
+        restDecay: (settings.schedule ?? DEFAULT_SCHEDULE).restDecay,
+    };
+};
@@ -0,0 +1,107 @@
+// Summary statistics over the practice log. Streaks count consecutive day
+// numbers, so a gap in the log (a day never logged) ends a run. Excused and
+// planned rest days are neutral: they neither count nor break a run.
+import { DEFAULT_PARAMS } from "./energyModel";
+
+export const STAT_WINDOWS = [7, 30];
+
+const round = (value, digits = 1) => parseFloat(value.toFixed(digits));
+
+const isNeutral = (entry) => entry.excused || entry.rest;
+
+// Longest run of consecutive days matching `test`, and the run that ends on
+// the last logged day
+const runs = (log, test) => {
+    let longest = 0;
+    let current = 0;
+    let previousDay = null;
+    log.forEach((entry) => {
+        if (isNeutral(entry)) {
+            previousDay = entry.day;
+            return;
+        }
+        const continues = entry.day === previousDay + 1;
+        if (!test(entry)) {
+            current = 0;
+        } else {
+            current = continues ? current + 1 : 1;
+        }
+        longest = Math.max(longest, current);
+        previousDay = entry.day;
+    });
+    return { longest, current };
+};
+
+// `missedDays` are days without an entry, counted as not practiced
+const minuteStats = (allEntries, missedDays = 0) => {
+    const entries = allEntries.filter((entry) => !isNeutral(entry));
+    const practiced = entries.filter((entry) => entry.practice);
+    const total = practiced.reduce((sum, entry) => sum + entry.minutes, 0);
+    const days = entries.length + missedDays;
+    return {
+        days,
+        practiceDays: practiced.length,
+        totalMinutes: total,
+        averageMinutes: days ? round(total / days) : 0,
+        adherence: days ? Math.round((practiced.length / days) * 100) : 0,
+    };
+};
+
+// The last `length` days up to `today` (a day number). Past days missing
+// from the log count as missed; today only counts once it is logged.
+const windowStats = (log, length, today) => {
+    const first = Math.max(1, today - length + 1);
+    const entries = log.filter(
+        (entry) => entry.day >= first && entry.day <= today
+    );
+    const logged = new Set(entries.map((entry) => entry.day));
+    let missedDays = 0;
+    for (let day = first; day < today; day++) {
+        if (!logged.has(day)) missedDays += 1;
+    }
+    return { length, ...minuteStats(entries, missedDays) };
+};
+
+// Energy at the start of an entry's day, recovered from its own change
+const startEnergy = (entry) =>
+    entry.energy - (entry.gain ?? 0) + (entry.loss ?? 0);
+
+// Energy lost to skipped days, including days absent from the log that the
+// gap policy decayed (the drop between one entry and the start of the next)
+const lossToSkips = (log) => {
+    let lost = 0;
+    let previousEnergy = DEFAULT_PARAMS.initialEnergy;
+    log.forEach((entry) => {
+        lost += Math.max(0, previousEnergy - startEnergy(entry));
+        if (!entry.rest) lost += entry.loss ?? 0;
+        previousEnergy = entry.energy;
+    });
+    return round(lost, 2);
+};
+
+// Everything the stats panel shows; log must be sorted by day and `today`
+// is today's day number
+export const computeStats = (log, today) => {
+    const practiceRuns = runs(log, (entry) => entry.practice);
+    const skipRuns = runs(log, (entry) => !entry.practice);
+    const bestGain = log.reduce(
+        (best, entry) =>
+            entry.practice && (entry.gain ?? 0) > (best?.gain ?? 0)
+                ? entry
+                : best,
+        null
+    );
+
+    // A run only stays current while the log reaches yesterday or today
+    const lastDay = log[log.length - 1]?.day ?? 0;
+
+    return {
+        currentStreak: lastDay >= today - 1 ? practiceRuns.current : 0,
+        longestStreak: practiceRuns.longest,
+        longestSkipRun: skipRuns.longest,
+        overall: minuteStats(log),
+        windows: STAT_WINDOWS.map((length) => windowStats(log, length, today)),
+        bestGain: bestGain && { day: bestGain.day, gain: bestGain.gain },
+        energyLostToSkips: lossToSkips(log),
+    };
+};
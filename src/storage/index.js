@@ -0,0 +1,48 @@
+// Storage layer for the practice log. Every read and write of the log goes
+// through one of these adapters, all exposing the same interface:
+//   loadLog()            → entries sorted by day
+//   upsertDays(entries, reason?) → insert or replace by day
+//   deleteDay(day, reason?)      → also removes the day's sessions
+//   clearAll(reason?)
+//   loadDayHistory(day)  → audit entries for the day, newest first
+//   loadSessions()       → practice sessions sorted by start time
+//   upsertSessions(sessions) → insert or replace by id
+//   deleteSession(id)
+// Remote stores also offer loadDays(days) → the rows for those days, and
+// may offer loadActiveTimer()/saveActiveTimer(timer).
+//   loadSettings()       → settings object, or null if never saved
+//   saveSettings(settings)
+// Supabase is used when credentials are configured, unless VITE_STORAGE=local.
+// Remote stores are wrapped in an offline outbox (see outbox.js), which adds
+// flush(), getStatus(), subscribe(), resolveConflict() and resolveRejected().
+import { supabase } from "../supabaseClient";
+import { createLocalStore } from "./localStore";
+import { createSupabaseStore } from "./supabaseStore";
+import { createSyncedStore } from "./outbox";
+
+export const usesSupabase =
+    Boolean(supabase) && import.meta.env.VITE_STORAGE !== "local";
+
+// One store per signed-in user, so the outbox and its retry timer are
+// created once per user rather than on every render
+const stores = new Map();
+
+export const getStorage = (user) => {
+    if (!usesSupabase || !user) {
+        if (!stores.has("local")) {
+            console.info("Storing practice log locally in this browser.");
+            stores.set("local", createLocalStore());
+        }
+        return stores.get("local");
+    }
+    if (!stores.has(user.id)) {
+        stores.set(
+            user.id,
+            createSyncedStore(
+                createSupabaseStore(supabase, user.id),
+                `qigong-outbox:${user.id}`
+            )
+        );
+    }
+    return stores.get(user.id);
+};
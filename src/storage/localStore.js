@@ -0,0 +1,130 @@
+// Local-first storage: keeps the calculations log in the browser's
+// localStorage so the tracker works offline and without a Supabase project.
+
+const DEFAULT_KEY = "qigong-calculations";
+const DEFAULT_SETTINGS_KEY = "qigong-settings";
+const DEFAULT_SESSIONS_KEY = "qigong-sessions";
+const DEFAULT_AUDIT_KEY = "qigong-audit";
+// localStorage is small, so only the most recent audit entries are kept
+const MAX_AUDIT_ENTRIES = 5000;
+
+const byDay = (a, b) => a.day - b.day;
+const byStart = (a, b) => a.startedAt.localeCompare(b.startedAt);
+
+export const createLocalStore = (
+    key = DEFAULT_KEY,
+    settingsKey = DEFAULT_SETTINGS_KEY,
+    sessionsKey = DEFAULT_SESSIONS_KEY,
+    auditKey = DEFAULT_AUDIT_KEY
+) => {
+    const readKey = (storageKey) => {
+        const raw = window.localStorage.getItem(storageKey);
+        return raw ? JSON.parse(raw) : [];
+    };
+    const writeKey = (storageKey, rows) =>
+        window.localStorage.setItem(storageKey, JSON.stringify(rows));
+    const read = () => readKey(key);
+    const write = (rows) => writeKey(key, rows);
+    const readSessions = () => readKey(sessionsKey);
+    const writeSessions = (sessions) => writeKey(sessionsKey, sessions);
+
+    // Append one audit entry per row that actually changed
+    const audit = (changes, reason) => {
+        const entries = changes
+            .filter(
+                ({ before, after }) =>
+                    JSON.stringify(before) !== JSON.stringify(after)
+            )
+            .map(({ before, after }) => ({
+                id: crypto.randomUUID(),
+                day: (after ?? before).day,
+                action: !before ? "insert" : !after ? "delete" : "update",
+                reason: reason ?? null,
+                changedAt: new Date().toISOString(),
+                changedBy: null,
+                before,
+                after,
+            }));
+        if (entries.length === 0) return;
+        writeKey(
+            auditKey,
+            [...readKey(auditKey), ...entries].slice(-MAX_AUDIT_ENTRIES)
+        );
+    };
+
+    return {
+        name: "local",
+
+        async loadLog() {
+            return read().sort(byDay);
+        },
+
+        // Insert or replace one entry or an array of entries, keyed by day
+        async upsertDays(entries, reason) {
+            const rows = new Map(read().map((row) => [row.day, row]));
+            const changes = [].concat(entries).map((entry) => ({
+                before: rows.get(entry.day) ?? null,
+                after: { ...entry },
+            }));
+            changes.forEach(({ after }) => rows.set(after.day, after));
+            write([...rows.values()].sort(byDay));
+            audit(changes, reason);
+        },
+
+        // Removes the day and all of its sessions
+        async deleteDay(day, reason) {
+            const rows = read();
+            write(rows.filter((row) => row.day !== day));
+            writeSessions(readSessions().filter((s) => s.day !== day));
+            audit(
+                rows
+                    .filter((row) => row.day === day)
+                    .map((row) => ({ before: row, after: null })),
+                reason
+            );
+        },
+
+        async clearAll(reason) {
+            const rows = read();
+            write([]);
+            writeSessions([]);
+            audit(
+                rows.map((row) => ({ before: row, after: null })),
+                reason
+            );
+        },
+
+        // Audit entries for one day, newest first
+        async loadDayHistory(day) {
+            return readKey(auditKey)
+                .filter((entry) => entry.day === day)
+                .reverse();
+        },
+
+        async loadSessions() {
+            return readSessions().sort(byStart);
+        },
+
+        // Insert or replace one session or an array of sessions, keyed by id
+        async upsertSessions(sessions) {
+            const rows = new Map(readSessions().map((s) => [s.id, s]));
+            [].concat(sessions).forEach((session) =>
+                rows.set(session.id, { ...session })
+            );
+            writeSessions([...rows.values()].sort(byStart));
+        },
+
+        async deleteSession(id) {
+            writeSessions(readSessions().filter((s) => s.id !== id));
+        },
+
+        async loadSettings() {
+            const raw = window.localStorage.getItem(settingsKey);
+            return raw ? JSON.parse(raw) : null;
+        },
+
+        async saveSettings(settings) {
+            window.localStorage.setItem(settingsKey, JSON.stringify(settings));
+        },
+    };
+};
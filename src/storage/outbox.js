@@ -0,0 +1,363 @@
+// Offline outbox around a remote store. Writes land in a local cache right
+// away, are queued in localStorage and replayed against the remote store in
+// order once it is reachable again. Before a queued write is sent, the remote
+// rows it touches are fetched and compared with what they were when it was
+// queued. A row that already matches the write means an earlier send went
+// through; any other difference means someone else changed that day, and
+// the queue pauses until the conflict is resolved with resolveConflict().
+// Network failures are retried, but a write the server rejects outright
+// (a constraint or permission error) would fail forever: it also pauses the
+// queue, until the user retries or discards it with resolveRejected().
+
+const DEFAULT_KEY = "qigong-outbox";
+const RETRY_INTERVAL_MS = 30000;
+
+const byDay = (a, b) => a.day - b.day;
+const byStart = (a, b) => a.startedAt.localeCompare(b.startedAt);
+
+// Fields that matter when deciding whether a remote row changed underneath us
+const sameRow = (a, b) => {
+    if (!a || !b) return !a && !b;
+    return (
+        a.practice === b.practice &&
+        a.minutes === b.minutes &&
+        a.energy === b.energy
+    );
+};
+
+// Postgres error classes that mean the write itself is unacceptable: data
+// exceptions, integrity constraints, and access rules (including RLS)
+const isRejection = (error) =>
+    typeof error?.code === "string" && /^(22|23|42)/.test(error.code);
+
+// What a queued op was, for the rejected-write banner
+const describeOp = (op) => {
+    if (op.type === "upsert") {
+        return `saving Day ${op.entries.map(({ day }) => day).join(", ")}`;
+    }
+    if (op.type === "delete") return `deleting Day ${op.day}`;
+    if (op.type === "settings") return "saving settings";
+    if (op.type === "upsertSessions") {
+        return `saving ${op.sessions.length} session(s)`;
+    }
+    if (op.type === "deleteSession") return "deleting a session";
+    return "clearing the history";
+};
+
+// The row a queued day write leaves behind for `day`, null once deleted
+const intendedRow = (op, day) =>
+    op.type === "upsert"
+        ? op.entries.find((entry) => entry.day === day) ?? null
+        : null;
+
+export const createSyncedStore = (remote, key = DEFAULT_KEY) => {
+    const saved = JSON.parse(window.localStorage.getItem(key) ?? "null");
+    let ops = saved?.ops ?? [];
+    // Remote state as it will be once every queued op has been sent
+    let cache = new Map((saved?.cache ?? []).map((row) => [row.day, row]));
+    let settings = saved?.settings ?? null;
+    let sessionCache = new Map((saved?.sessions ?? []).map((s) => [s.id, s]));
+    let conflict = null; // { days, remoteRows } for the op at the head of the queue
+    let rejected = null; // { description, message } for the op at the head
+    let lastError = null;
+    let flushing = null;
+    const listeners = new Set();
+
+    const persist = () =>
+        window.localStorage.setItem(
+            key,
+            JSON.stringify({
+                ops,
+                cache: [...cache.values()],
+                settings,
+                sessions: [...sessionCache.values()],
+            })
+        );
+
+    const getStatus = () => ({
+        pending: ops.length,
+        conflict: conflict && { days: conflict.days },
+        rejected,
+        lastError,
+    });
+
+    const notify = () => {
+        const status = getStatus();
+        listeners.forEach((listener) => listener(status));
+    };
+
+    const send = (op) => {
+        if (op.type === "upsert") {
+            return remote.upsertDays(op.entries, op.reason);
+        }
+        if (op.type === "delete") return remote.deleteDay(op.day, op.reason);
+        if (op.type === "settings") return remote.saveSettings(op.settings);
+        if (op.type === "upsertSessions") {
+            return remote.upsertSessions(op.sessions);
+        }
+        if (op.type === "deleteSession") return remote.deleteSession(op.id);
+        return remote.clearAll(op.reason);
+    };
+
+    const runFlush = async (force) => {
+        while (ops.length > 0) {
+            const op = ops[0];
+            if (!force && op.expected.length > 0) {
+                const days = op.expected.map(({ day }) => day);
+                const remoteRows = new Map(
+                    (await remote.loadDays(days)).map((row) => [row.day, row])
+                );
+                const applied = op.expected.every(({ day }) =>
+                    sameRow(intendedRow(op, day), remoteRows.get(day))
+                );
+                if (applied) {
+                    // Sent before, but the response never arrived
+                    ops.shift();
+                    persist();
+                    notify();
+                    continue;
+                }
+                const changed = op.expected.filter(
+                    ({ day, row }) =>
+                        !sameRow(row, remoteRows.get(day)) &&
+                        !sameRow(intendedRow(op, day), remoteRows.get(day))
+                );
+                if (changed.length > 0) {
+                    conflict = {
+                        days: changed.map(({ day }) => day),
+                        remoteRows: op.expected.map(
+                            ({ day }) =>
+                                remoteRows.get(day) ?? { day, missing: true }
+                        ),
+                    };
+                    return;
+                }
+            }
+            force = false;
+            try {
+                await send(op);
+            } catch (error) {
+                if (!isRejection(error)) throw error;
+                rejected = {
+                    description: describeOp(op),
+                    message: error.message ?? String(error),
+                };
+                return;
+            }
+            ops.shift();
+            persist();
+            notify();
+        }
+    };
+
+    // Send queued writes in order. Never throws: failures are kept in
+    // lastError and retried on the next flush.
+    const flush = (force = false) => {
+        if ((conflict && !force) || rejected) return Promise.resolve();
+        if (!flushing) {
+            flushing = runFlush(force)
+                .then(
+                    () => {
+                        lastError = null;
+                    },
+                    (error) => {
+                        lastError = error?.message ?? String(error);
+                        console.warn("Sync failed, will retry:", error);
+                    }
+                )
+                .finally(() => {
+                    flushing = null;
+                    notify();
+                    // Pick up writes queued while the last op was in flight
+                    if (
+                        ops.length > 0 &&
+                        !conflict &&
+                        !rejected &&
+                        !lastError
+                    ) {
+                        flush();
+                    }
+                });
+        }
+        return flushing;
+    };
+
+    const enqueue = (op) => {
+        ops.push({ ...op, queuedAt: new Date().toISOString() });
+        persist();
+        notify();
+        return flush();
+    };
+
+    window.addEventListener("online", () => flush());
+    setInterval(() => {
+        if (ops.length > 0 && !conflict && !rejected) flush();
+    }, RETRY_INTERVAL_MS);
+
+    return {
+        name: remote.name,
+
+        // Remote log when reachable and nothing is queued, otherwise the
+        // cached log with the queued writes already applied
+        async loadLog() {
+            await flush();
+            if (ops.length === 0) {
+                try {
+                    const rows = await remote.loadLog();
+                    cache = new Map(rows.map((row) => [row.day, row]));
+                    persist();
+                    return rows;
+                } catch (error) {
+                    lastError = error?.message ?? String(error);
+                    console.warn("Remote log unreachable, using cache:", error);
+                    notify();
+                }
+            }
+            return [...cache.values()].sort(byDay);
+        },
+
+        async upsertDays(entries, reason) {
+            const list = [].concat(entries);
+            const expected = list.map(({ day }) => ({
+                day,
+                row: cache.get(day) ?? null,
+            }));
+            list.forEach((entry) => cache.set(entry.day, { ...entry }));
+            await enqueue({
+                type: "upsert",
+                entries: list,
+                reason,
+                expected,
+            });
+        },
+
+        async deleteDay(day, reason) {
+            const expected = [{ day, row: cache.get(day) ?? null }];
+            cache.delete(day);
+            sessionCache.forEach((session, id) => {
+                if (session.day === day) sessionCache.delete(id);
+            });
+            await enqueue({ type: "delete", day, reason, expected });
+        },
+
+        async clearAll(reason) {
+            cache.clear();
+            sessionCache.clear();
+            await enqueue({ type: "clear", reason, expected: [] });
+        },
+
+        async loadSessions() {
+            await flush();
+            if (ops.length === 0) {
+                try {
+                    const sessions = await remote.loadSessions();
+                    sessionCache = new Map(sessions.map((s) => [s.id, s]));
+                    persist();
+                    return sessions;
+                } catch (error) {
+                    console.warn("Remote sessions unreachable:", error);
+                }
+            }
+            return [...sessionCache.values()].sort(byStart);
+        },
+
+        // Sessions are only ever written from one timer, so they are queued
+        // without conflict checks
+        async upsertSessions(sessions) {
+            const list = [].concat(sessions);
+            list.forEach((session) =>
+                sessionCache.set(session.id, { ...session })
+            );
+            await enqueue({
+                type: "upsertSessions",
+                sessions: list,
+                expected: [],
+            });
+        },
+
+        async deleteSession(id) {
+            sessionCache.delete(id);
+            await enqueue({ type: "deleteSession", id, expected: [] });
+        },
+
+        // Remote settings when reachable and no settings write is queued,
+        // otherwise the last known settings
+        async loadSettings() {
+            await flush();
+            if (!ops.some((op) => op.type === "settings")) {
+                try {
+                    settings = await remote.loadSettings();
+                    persist();
+                } catch (error) {
+                    console.warn("Remote settings unreachable:", error);
+                }
+            }
+            return settings;
+        },
+
+        async saveSettings(next) {
+            settings = next;
+            await enqueue({ type: "settings", settings: next, expected: [] });
+        },
+
+        // The audit trail is written server-side, so it is only read live
+        loadDayHistory: (day) => remote.loadDayHistory(day),
+
+        // The running timer is only useful live, so it bypasses the queue
+        loadActiveTimer: () => remote.loadActiveTimer(),
+        saveActiveTimer: (timer) => remote.saveActiveTimer(timer),
+
+        flush,
+        getStatus,
+
+        subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+
+        // "mine" sends the queued write anyway; "theirs" drops it and adopts
+        // the remote rows for every day it touched
+        async resolveConflict(choice) {
+            if (!conflict) return;
+            const { remoteRows } = conflict;
+            conflict = null;
+            if (choice === "mine") {
+                await flush(true);
+                return;
+            }
+            ops.shift();
+            remoteRows.forEach((row) =>
+                row.missing ? cache.delete(row.day) : cache.set(row.day, row)
+            );
+            persist();
+            notify();
+            await flush();
+        },
+
+        // "retry" sends the rejected write again (e.g. after fixing a policy
+        // on the server); "discard" drops it and undoes what it did to the
+        // local cache, unless a later queued write touches the same rows
+        async resolveRejected(choice) {
+            if (!rejected) return;
+            rejected = null;
+            if (choice === "discard") {
+                const op = ops.shift();
+                const later = (day) =>
+                    ops.some((queued) =>
+                        queued.expected.some((row) => row.day === day)
+                    );
+                op.expected.forEach(({ day, row }) => {
+                    if (later(day)) return;
+                    if (row) cache.set(day, row);
+                    else cache.delete(day);
+                });
+                if (op.type === "upsertSessions") {
+                    op.sessions.forEach(({ id }) => sessionCache.delete(id));
+                }
+                persist();
+            }
+            notify();
+            await flush();
+        },
+    };
+};
@@ -0,0 +1,210 @@
+// Supabase storage: the `calculations` table, one row per user and day.
+// Rows are scoped to `userId` here and by row-level security on the server
+// (see supabase/migrations). Every method throws the Supabase error instead
+// of returning it.
+
+const TABLE = "calculations";
+const SETTINGS_TABLE = "tracker_settings";
+const SESSIONS_TABLE = "practice_sessions";
+const AUDIT_TABLE = "calculations_audit";
+// Read by the audit trigger to record why a row changed
+const REASON_HEADER = "x-change-reason";
+
+// Map a Supabase row to the structure expected by dailyLog
+const toEntry = (row) => ({
+    day: row.day,
+    date: row.date,
+    energy: row.energy,
+    practice: row.practice,
+    excused: row.excused ?? false,
+    rest: row.rest ?? false,
+    minutes: row.minutes,
+    gain: row.gain,
+    loss: row.loss,
+    growthFactor: row.growthFactor,
+    formMinutes: row.formMinutes,
+    milestonesReached: row.milestonesReached,
+});
+
+const toAuditEntry = (row) => ({
+    id: row.id,
+    day: row.day,
+    action: row.action,
+    reason: row.reason,
+    changedAt: row.changed_at,
+    changedBy: row.changed_by,
+    before: row.old_row && toEntry(row.old_row),
+    after: row.new_row && toEntry(row.new_row),
+});
+
+// Attach the triggering action to a write, if one was given
+const withReason = (query, reason) =>
+    reason ? query.setHeader(REASON_HEADER, reason) : query;
+
+const toSession = (row) => ({
+    id: row.id,
+    day: row.day,
+    startedAt: row.started_at,
+    endedAt: row.ended_at,
+    durationSeconds: row.duration_seconds,
+    form: row.form,
+    notes: row.notes,
+    targetSeconds: row.target_seconds ?? null,
+    sleptSeconds: row.slept_seconds ?? 0,
+});
+
+const fromSession = (session, userId) => ({
+    id: session.id,
+    user_id: userId,
+    day: session.day,
+    started_at: session.startedAt,
+    ended_at: session.endedAt,
+    duration_seconds: session.durationSeconds,
+    form: session.form ?? null,
+    notes: session.notes ?? null,
+    target_seconds: session.targetSeconds ?? null,
+    slept_seconds: session.sleptSeconds ?? 0,
+});
+
+export const createSupabaseStore = (client, userId) => ({
+    name: "supabase",
+
+    async loadLog() {
+        const { data, error } = await client
+            .from(TABLE)
+            .select("*")
+            .eq("user_id", userId)
+            .order("day", { ascending: true });
+        if (error) throw error;
+        return (data ?? []).map(toEntry);
+    },
+
+    // Just the rows for `days`, for checking a queued write (see outbox.js)
+    async loadDays(days) {
+        const { data, error } = await client
+            .from(TABLE)
+            .select("*")
+            .eq("user_id", userId)
+            .in("day", days);
+        if (error) throw error;
+        return (data ?? []).map(toEntry);
+    },
+
+    // Insert or replace one entry or an array of entries, keyed by (user, day)
+    async upsertDays(entries, reason) {
+        const rows = [].concat(entries).map((entry) => ({
+            ...entry,
+            user_id: userId,
+        }));
+        const { error } = await withReason(
+            client.from(TABLE).upsert(rows, { onConflict: "user_id,day" }),
+            reason
+        );
+        if (error) throw error;
+    },
+
+    // Removes the day and all of its sessions
+    async deleteDay(day, reason) {
+        const { error } = await withReason(
+            client.from(TABLE).delete().eq("user_id", userId).eq("day", day),
+            reason
+        );
+        if (error) throw error;
+        const { error: sessionsError } = await client
+            .from(SESSIONS_TABLE)
+            .delete()
+            .eq("user_id", userId)
+            .eq("day", day);
+        if (sessionsError) throw sessionsError;
+    },
+
+    // Only ever clears the signed-in user's rows
+    async clearAll(reason) {
+        const { error } = await withReason(
+            client.from(TABLE).delete().eq("user_id", userId),
+            reason
+        );
+        if (error) throw error;
+        const { error: sessionsError } = await client
+            .from(SESSIONS_TABLE)
+            .delete()
+            .eq("user_id", userId);
+        if (sessionsError) throw sessionsError;
+    },
+
+    // Audit entries for one day, newest first (written by a trigger, see
+    // supabase/migrations)
+    async loadDayHistory(day) {
+        const { data, error } = await client
+            .from(AUDIT_TABLE)
+            .select("*")
+            .eq("user_id", userId)
+            .eq("day", day)
+            .order("changed_at", { ascending: false });
+        if (error) throw error;
+        return (data ?? []).map(toAuditEntry);
+    },
+
+    async loadSessions() {
+        const { data, error } = await client
+            .from(SESSIONS_TABLE)
+            .select("*")
+            .eq("user_id", userId)
+            .order("started_at", { ascending: true });
+        if (error) throw error;
+        return (data ?? []).map(toSession);
+    },
+
+    async upsertSessions(sessions) {
+        const rows = [].concat(sessions).map((s) => fromSession(s, userId));
+        const { error } = await client.from(SESSIONS_TABLE).upsert(rows);
+        if (error) throw error;
+    },
+
+    async deleteSession(id) {
+        const { error } = await client
+            .from(SESSIONS_TABLE)
+            .delete()
+            .eq("user_id", userId)
+            .eq("id", id);
+        if (error) throw error;
+    },
+
+    // Settings object saved for this user, or null if none yet
+    async loadSettings() {
+        const { data, error } = await client
+            .from(SETTINGS_TABLE)
+            .select("settings")
+            .eq("user_id", userId)
+            .maybeSingle();
+        if (error) throw error;
+        return data?.settings ?? null;
+    },
+
+    async saveSettings(settings) {
+        const { error } = await client.from(SETTINGS_TABLE).upsert({
+            user_id: userId,
+            settings,
+            updated_at: new Date().toISOString(),
+        });
+        if (error) throw error;
+    },
+
+    // Running timer mirrored from activeTimer.js, or null
+    async loadActiveTimer() {
+        const { data, error } = await client
+            .from(SETTINGS_TABLE)
+            .select("active_timer")
+            .eq("user_id", userId)
+            .maybeSingle();
+        if (error) throw error;
+        return data?.active_timer ?? null;
+    },
+
+    async saveActiveTimer(timer) {
+        const { error } = await client
+            .from(SETTINGS_TABLE)
+            .upsert({ user_id: userId, active_timer: timer });
+        if (error) throw error;
+    },
+});
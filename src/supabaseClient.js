@@ -3,10 +3,8 @@ import { createClient } from "@supabase/supabase-js";
 const supabaseUrl = import.meta.env.VITE_SUPABASE_URL;
 const supabaseAnonKey = import.meta.env.VITE_SUPABASE_ANON_KEY;
 
-if (!supabaseUrl || !supabaseAnonKey) {
-    throw new Error(
-        "Supabase URL and Anon Key must be provided in environment variables (.env file)!"
-    );
-}
-
-export const supabase = createClient(supabaseUrl, supabaseAnonKey);
+// Without credentials the app falls back to local storage (see storage/index.js)
+export const supabase =
+    supabaseUrl && supabaseAnonKey
+        ? createClient(supabaseUrl, supabaseAnonKey)
+        : null;
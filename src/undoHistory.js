@@ -0,0 +1,57 @@
+// Undo/redo for history edits. Each step is a snapshot of the log, its
+// sessions and the start date taken just before a mutation; restoring one
+// writes back only the rows that differ from the current state, so the
+// backend ends up matching the snapshot as well.
+
+export const MAX_UNDO_STEPS = 50;
+
+export const takeSnapshot = (
+    label,
+    { log, sessions, currentDay, currentEnergy, startDate }
+) => ({ label, log, sessions, currentDay, currentEnergy, startDate });
+
+const changed = (a, b) => JSON.stringify(a) !== JSON.stringify(b);
+
+// Storage writes that turn snapshot `from` into snapshot `to`
+export const diffSnapshots = (from, to) => {
+    const fromDays = new Map(from.log.map((entry) => [entry.day, entry]));
+    const toDays = new Set(to.log.map((entry) => entry.day));
+    const deleteDays = from.log
+        .filter((entry) => !toDays.has(entry.day))
+        .map((entry) => entry.day);
+    const upsertDays = to.log.filter((entry) =>
+        changed(entry, fromDays.get(entry.day))
+    );
+
+    // Sessions of deleted days go with them (see storage deleteDay)
+    const deletedDays = new Set(deleteDays);
+    const fromSessions = new Map(from.sessions.map((s) => [s.id, s]));
+    const toSessions = new Set(to.sessions.map((s) => s.id));
+    const deleteSessions = from.sessions
+        .filter((s) => !toSessions.has(s.id) && !deletedDays.has(s.day))
+        .map((s) => s.id);
+    const upsertSessions = to.sessions.filter((s) =>
+        changed(s, fromSessions.get(s.id))
+    );
+
+    return { deleteDays, upsertDays, deleteSessions, upsertSessions };
+};
+
+// Bring storage from the `current` snapshot to `target`. Throws on the first
+// failed write, like the storage adapters themselves. `reason` goes to the
+// audit trail.
+export const restoreSnapshot = async (storage, current, target, reason) => {
+    const diff = diffSnapshots(current, target);
+    for (const day of diff.deleteDays) {
+        await storage.deleteDay(day, reason);
+    }
+    for (const id of diff.deleteSessions) {
+        await storage.deleteSession(id);
+    }
+    if (diff.upsertDays.length > 0) {
+        await storage.upsertDays(diff.upsertDays, reason);
+    }
+    if (diff.upsertSessions.length > 0) {
+        await storage.upsertSessions(diff.upsertSessions);
+    }
+};
@@ -0,0 +1,18 @@
+// Screen Wake Lock, so the screen stays on through long standing sessions.
+// Browsers drop the lock whenever the page is hidden; callers request it
+// again when the page becomes visible.
+
+export const wakeLockSupported = () =>
+    typeof navigator !== "undefined" && "wakeLock" in navigator;
+
+// Resolves to the lock sentinel, or null if it could not be taken (e.g. low
+// battery mode or the page is not visible)
+export const requestWakeLock = async () => {
+    if (!wakeLockSupported()) return null;
+    try {
+        return await navigator.wakeLock.request("screen");
+    } catch (error) {
+        console.warn("Could not keep the screen awake:", error);
+        return null;
+    }
+};
@@ -0,0 +1,32 @@
+-- Per-user ownership of the calculations log.
+-- Rows written before this migration have no owner and become invisible to
+-- every user; assign them with `update calculations set user_id = '<uuid>'`.
+
+alter table calculations
+    add column if not exists user_id uuid
+        references auth.users (id) on delete cascade
+        default auth.uid();
+
+-- Days are now unique per user instead of globally
+alter table calculations drop constraint if exists calculations_day_key;
+alter table calculations
+    add constraint calculations_user_id_day_key unique (user_id, day);
+
+alter table calculations enable row level security;
+
+create policy "Users read their own calculations"
+    on calculations for select
+    using (auth.uid() = user_id);
+
+create policy "Users insert their own calculations"
+    on calculations for insert
+    with check (auth.uid() = user_id);
+
+create policy "Users update their own calculations"
+    on calculations for update
+    using (auth.uid() = user_id)
+    with check (auth.uid() = user_id);
+
+create policy "Users delete their own calculations"
+    on calculations for delete
+    using (auth.uid() = user_id);
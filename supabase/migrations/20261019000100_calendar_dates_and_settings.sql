@@ -0,0 +1,18 @@
+-- Calendar date for every log entry, and per-user tracker settings
+-- (start date and other preferences stored as JSON).
+
+alter table calculations add column if not exists date date;
+
+create table if not exists tracker_settings (
+    user_id uuid primary key references auth.users (id) on delete cascade
+        default auth.uid(),
+    settings jsonb not null default '{}'::jsonb,
+    updated_at timestamptz not null default now()
+);
+
+alter table tracker_settings enable row level security;
+
+create policy "Users manage their own settings"
+    on tracker_settings for all
+    using (auth.uid() = user_id)
+    with check (auth.uid() = user_id);
@@ -0,0 +1,24 @@
+-- Individual timer sessions. A practiced day's minutes in `calculations`
+-- are derived from the sum of its sessions.
+
+create table if not exists practice_sessions (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references auth.users (id) on delete cascade
+        default auth.uid(),
+    day integer not null,
+    started_at timestamptz not null,
+    ended_at timestamptz not null,
+    duration_seconds integer not null check (duration_seconds >= 0),
+    form text,
+    notes text
+);
+
+create index if not exists practice_sessions_user_day_idx
+    on practice_sessions (user_id, day);
+
+alter table practice_sessions enable row level security;
+
+create policy "Users manage their own sessions"
+    on practice_sessions for all
+    using (auth.uid() = user_id)
+    with check (auth.uid() = user_id);
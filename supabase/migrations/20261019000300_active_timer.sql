@@ -0,0 +1,4 @@
+-- Running practice timer ({ day, startTime }), so a session started on one
+-- device can be resumed after a reload or on another device.
+
+alter table tracker_settings add column if not exists active_timer jsonb;
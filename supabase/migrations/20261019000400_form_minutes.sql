@@ -0,0 +1,4 @@
+-- Minutes per practice form for each day ({ "<form id>": minutes }), derived
+-- from that day's sessions and weighted by the form catalog in settings.
+
+alter table calculations add column if not exists "formMinutes" jsonb;
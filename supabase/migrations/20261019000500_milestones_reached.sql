@@ -0,0 +1,4 @@
+-- Ids of the milestones first crossed on each day, so the date a milestone
+-- was reached stays recorded with the log.
+
+alter table calculations add column if not exists "milestonesReached" jsonb;
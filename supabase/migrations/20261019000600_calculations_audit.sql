@@ -0,0 +1,71 @@
+-- Append-only audit trail of every change to `calculations`. Rows are written
+-- by a trigger, never by clients, so recalculations that rewrite later days
+-- are recorded too. The client names the triggering action in the
+-- `x-change-reason` request header (see src/storage/supabaseStore.js).
+
+create table if not exists calculations_audit (
+    id bigint generated always as identity primary key,
+    user_id uuid not null references auth.users (id) on delete cascade,
+    day integer not null,
+    action text not null check (action in ('insert', 'update', 'delete')),
+    reason text,
+    old_row jsonb,
+    new_row jsonb,
+    changed_by uuid default auth.uid(),
+    changed_at timestamptz not null default now()
+);
+
+create index if not exists calculations_audit_user_day_idx
+    on calculations_audit (user_id, day, changed_at desc);
+
+alter table calculations_audit enable row level security;
+
+-- Read-only for clients: no insert, update or delete policies
+create policy "Users read their own audit trail"
+    on calculations_audit for select
+    using (auth.uid() = user_id);
+
+create or replace function record_calculation_change()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    change_reason text :=
+        nullif(current_setting('request.headers', true), '')::json
+            ->> 'x-change-reason';
+begin
+    if tg_op = 'INSERT' then
+        insert into calculations_audit
+            (user_id, day, action, reason, old_row, new_row)
+        values
+            (new.user_id, new.day, 'insert', change_reason, null,
+             to_jsonb(new));
+        return new;
+    elsif tg_op = 'UPDATE' then
+        -- Upserts that rewrite a row unchanged are not worth recording
+        if to_jsonb(old) = to_jsonb(new) then
+            return new;
+        end if;
+        insert into calculations_audit
+            (user_id, day, action, reason, old_row, new_row)
+        values
+            (new.user_id, new.day, 'update', change_reason, to_jsonb(old),
+             to_jsonb(new));
+        return new;
+    else
+        insert into calculations_audit
+            (user_id, day, action, reason, old_row, new_row)
+        values
+            (old.user_id, old.day, 'delete', change_reason, to_jsonb(old),
+             null);
+        return old;
+    end if;
+end;
+$$;
+
+drop trigger if exists calculations_audit_trigger on calculations;
+create trigger calculations_audit_trigger
+    after insert or update or delete on calculations
+    for each row execute function record_calculation_change();
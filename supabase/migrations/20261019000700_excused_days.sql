@@ -0,0 +1,5 @@
+-- Days kept in the timeline as excused: no energy gained or lost (used by
+-- the "excused" gap policy when a day is deleted).
+
+alter table calculations
+    add column if not exists excused boolean not null default false;
@@ -0,0 +1,5 @@
+-- Planned rest days from the weekly schedule: a third activity type beside
+-- practiced and skipped, costing only a share of a skipped day's decay.
+
+alter table calculations
+    add column if not exists rest boolean not null default false;
@@ -0,0 +1,5 @@
+-- Target length chosen before a timed session; time past it is overtime.
+
+alter table practice_sessions
+    add column if not exists target_seconds integer
+        check (target_seconds is null or target_seconds > 0);
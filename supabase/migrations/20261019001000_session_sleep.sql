@@ -0,0 +1,6 @@
+-- Seconds a timed session's device appeared to be asleep (long gaps between
+-- timer ticks), kept so such sessions stay flagged after they are saved.
+
+alter table practice_sessions
+    add column if not exists slept_seconds integer not null default 0
+        check (slept_seconds >= 0);